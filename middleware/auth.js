@@ -49,8 +49,43 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authorization guard - must run after `authenticate`
+ * Checks the role of the user loaded from the database, not the token's `role`
+ * claim, so role changes apply without waiting for the token to expire
+ * Usage: router.post('/', authenticate, requireRole('admin', 'editor'), handler)
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'User not authenticated' });
+  }
 
+  const role = req.user.role || 'user';
+  if (!roles.includes(role)) {
+    return res.status(403).json({ 
+      message: 'You do not have permission to perform this action',
+      requiredRoles: roles
+    });
+  }
 
+  next();
+};
 
+/**
+ * Like `authenticate`, but lets anonymous requests through
+ * Sets req.user when a valid token is sent (e.g. for per-user preferences on public routes)
+ */
+export const optionalAuthenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return next();
 
-
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded?.userId) {
+      req.user = await User.findById(decoded.userId).select('-password');
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
@@ -0,0 +1,27 @@
+import { BASE_CURRENCY, resolveCurrency } from '../utils/currency.js';
+
+/**
+ * Resolve the display currency into req.currency - ?currency= (or body.currency),
+ * then the signed-in user's preference, then INR
+ * Only an explicitly requested currency is rejected; a stored preference whose
+ * rate has since been deleted falls back to INR
+ * Run after authenticate/optionalAuthenticate so the preference is available
+ */
+export const withCurrency = async (req, res, next) => {
+  try {
+    const requested = req.query?.currency || req.body?.currency;
+    const currency = await resolveCurrency(requested || req.user?.preferredCurrency);
+    if (!currency && requested) {
+      return res.status(400).json({ message: `Unsupported currency: ${requested}` });
+    }
+    req.currency = currency || await resolveCurrency(BASE_CURRENCY);
+    next();
+  } catch (error) {
+    console.error('❌ Currency lookup failed:', error);
+    res.status(500).json({ 
+      message: 'Failed to load exchange rates', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
@@ -1,4 +1,48 @@
 import mongoose from 'mongoose';
+import { formatPriceBlock } from '../utils/price.js';
+
+// Allowed values for classification fields (shared with route validation)
+export const BODY_TYPES = ['SUV', 'Sedan', 'Hatchback', 'Coupe', 'EV', 'Sports', 'Supercar', 'Convertible', 'Wagon', 'Pickup', 'MPV'];
+export const FUEL_TYPES = ['Petrol', 'Diesel', 'EV', 'Hybrid', 'CNG', 'LPG'];
+export const TRANSMISSIONS = ['Manual', 'Automatic', 'DCT', 'CVT', 'AMT'];
+export const DRIVE_TYPES = ['FWD', 'RWD', 'AWD', '4WD'];
+export const CAR_TEXT_INDEX = 'car_text_search';
+
+/**
+ * Variant (trim) of a car model
+ * Each variant has its own ex-showroom price and powertrain
+ */
+const variantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    price: {
+      type: Number, // Ex-showroom price in INR
+      required: true,
+      min: 0,
+    },
+    fuelType: {
+      type: String,
+      enum: FUEL_TYPES,
+    },
+    transmission: {
+      type: String,
+      enum: TRANSMISSIONS,
+    },
+    powerBHP: {
+      type: Number,
+      min: 0,
+    },
+    mileage: {
+      type: Number, // km/L for ICE, km for EV
+      min: 0,
+    },
+  },
+  { _id: true }
+);
 
 /**
  * Production-ready Car Schema for CarVerse
@@ -32,24 +76,24 @@ const carSchema = new mongoose.Schema(
     bodyType: {
       type: String,
       required: true,
-      enum: ['SUV', 'Sedan', 'Hatchback', 'Coupe', 'EV', 'Sports', 'Supercar', 'Convertible', 'Wagon', 'Pickup', 'MPV'],
+      enum: BODY_TYPES,
       index: true,
     },
     fuelType: {
       type: String,
       required: true,
-      enum: ['Petrol', 'Diesel', 'EV', 'Hybrid', 'CNG', 'LPG'],
+      enum: FUEL_TYPES,
       index: true,
     },
     transmission: {
       type: String,
       required: true,
-      enum: ['Manual', 'Automatic', 'DCT', 'CVT', 'AMT'],
+      enum: TRANSMISSIONS,
       index: true,
     },
     driveType: {
       type: String,
-      enum: ['FWD', 'RWD', 'AWD', '4WD'],
+      enum: DRIVE_TYPES,
       default: 'FWD',
     },
     
@@ -123,6 +167,12 @@ const carSchema = new mongoose.Schema(
       },
     },
     
+    // Variants / trims - price.min and price.max are derived from these when present
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
+    
     // Additional Details
     launchYear: {
       type: Number,
@@ -213,13 +263,75 @@ carSchema.index({ powerBHP: -1 }); // Sort by power
 carSchema.index({ discontinued: 1, launchYear: -1 }); // Active cars by year
 carSchema.index({ brand: 1, discontinued: 1 }); // Brand with status
 
-// Text index for full-text search
-carSchema.index({ title: 'text', brand: 'text', model: 'text', tags: 'text' });
+carSchema.index({ 'variants.price': 1 }); // Variant price filters
+carSchema.index({ 'variants.fuelType': 1, 'variants.transmission': 1 }); // Variant powertrain filters
+
+// Text index for full-text search (weights drive sort=relevance)
+// MongoDB allows one text index per collection, so an older one blocks this index
+// from being built - run `npm run seed -- --migrate-text-index` on existing databases
+carSchema.index(
+  {
+    title: 'text',
+    brand: 'text',
+    model: 'text',
+    tags: 'text',
+    keyFeatures: 'text',
+    pros: 'text',
+    cons: 'text',
+  },
+  {
+    name: CAR_TEXT_INDEX,
+    weights: { title: 10, brand: 8, model: 8, tags: 5, keyFeatures: 3, pros: 1, cons: 1 },
+  }
+);
 
 // Useful sorting/filter indexes
 carSchema.index({ isFeatured: 1 });
 carSchema.index({ createdAt: -1 });
 
+// Fields a variant inherits from its car when not specified - resolved when
+// read (resolveVariant, variant filters), never copied into the variant, so
+// later changes to the car reach every variant that leaves them out
+export const VARIANT_INHERITED_FIELDS = ['fuelType', 'transmission', 'powerBHP', 'mileage'];
+
+/**
+ * A (lean) variant with the fields it leaves out taken from its car
+ */
+export const resolveVariant = (car, variant) => {
+  const resolved = { ...variant };
+  VARIANT_INHERITED_FIELDS.forEach((field) => {
+    resolved[field] = variant[field] ?? car[field];
+  });
+  return resolved;
+};
+
+/**
+ * A car's variant by id or (case-insensitive) name, or null
+ */
+export const findVariant = (car, key) => {
+  const wanted = String(key).trim().toLowerCase();
+  return (car.variants || []).find((v) => v._id?.toString() === wanted || v.name?.toLowerCase() === wanted) ?? null;
+};
+
+// Derive price range from variants and default car powertrain fields to the base variant
+carSchema.pre('validate', function(next) {
+  if (!this.variants?.length) return next();
+
+  const prices = this.variants.map((v) => v.price).filter((p) => typeof p === 'number');
+  if (prices.length) {
+    this.set('price.min', Math.min(...prices));
+    this.set('price.max', Math.max(...prices));
+  }
+
+  // Car-level fields default to the base (first) variant
+  const [base] = this.variants;
+  VARIANT_INHERITED_FIELDS.forEach((field) => {
+    if (this[field] == null && base[field] != null) this[field] = base[field];
+  });
+
+  next();
+});
+
 // Virtual for average price (useful for sorting/filtering)
 carSchema.virtual('avgPrice').get(function() {
   if (this.price?.min && this.price?.max) {
@@ -228,6 +340,11 @@ carSchema.virtual('avgPrice').get(function() {
   return this.price?.min || this.price?.max || 0;
 });
 
+// Virtual for lakh/crore formatted prices (lean results use withFormattedPrice)
+carSchema.virtual('priceFormatted').get(function() {
+  return formatPriceBlock(this.price);
+});
+
 // Ensure virtuals are included in JSON output
 carSchema.set('toJSON', { virtuals: true });
 carSchema.set('toObject', { virtuals: true });
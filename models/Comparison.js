@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * Saved car comparison, shareable by slug (GET /api/compare/:slug)
+ * Only the inputs are stored - the comparison is rebuilt from current car data
+ */
+const comparisonEntrySchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  // Variant id or name, as accepted by POST /api/cars/compare
+  variant: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const scoreWeight = { type: Number, min: 0, default: 1 };
+
+const comparisonSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  entries: {
+    type: [comparisonEntrySchema],
+    validate: {
+      validator: (entries) => entries.length >= 2,
+      message: 'A comparison needs at least 2 cars'
+    }
+  },
+  weights: {
+    performance: scoreWeight,
+    efficiency: scoreWeight,
+    safety: scoreWeight,
+    price: scoreWeight
+  },
+  // TCO assumptions from utils/tco.js parseTcoParams, or null for no TCO row
+  tco: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Row template from utils/comparisonTemplates.js
+  template: {
+    type: String,
+    default: 'full'
+  },
+  // Features checked first in the feature matrix
+  features: [{
+    type: String,
+    trim: true
+  }],
+  // Optional - anonymous comparisons can be shared but not listed or deleted
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+comparisonSchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.model('Comparison', comparisonSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Admin-maintained exchange rates used to show prices in other currencies
+ * Catalog prices are stored in INR; each rate is the INR value of one unit
+ * Currencies without a stored rate fall back to the defaults in utils/currency.js
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  inrPerUnit: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => value > 0,
+      message: 'inrPerUnit must be greater than 0'
+    }
+  },
+  symbol: {
+    type: String,
+    trim: true,
+    maxlength: 5
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
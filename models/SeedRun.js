@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit log of catalog seed operations
+ * Used by /api/seed/status to report when and how the catalog was last seeded
+ */
+const seedRunSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['seed', 'force', 'brand', 'sync'],
+    required: true
+  },
+  brand: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  source: {
+    type: String,
+    default: 'builtin'
+  },
+  catalogVersion: {
+    type: String,
+    required: true
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  deleted: {
+    type: Number,
+    default: 0
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+seedRunSchema.index({ createdAt: -1 });
+
+export default mongoose.model('SeedRun', seedRunSchema);
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import bcryptjs from 'bcryptjs';
 
+// Available roles, from most to least privileged
+export const USER_ROLES = ['admin', 'editor', 'user'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -21,6 +24,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     minlength: 6
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user',
+    index: true
+  },
+  // Display currency for car prices (see utils/currency.js)
+  preferredCurrency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: 'INR',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
   }
 }, {
   timestamps: true
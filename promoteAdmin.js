@@ -0,0 +1,38 @@
+/* Promote a registered user to admin.
+   Usage: npm run promote-admin -- user@example.com
+   Use it to bootstrap the first admin, who can then assign roles via
+   PATCH /api/auth/users/:id/role
+*/
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './models/User.js';
+
+dotenv.config();
+
+const promoteAdmin = async () => {
+  try {
+    const [email, ...rest] = process.argv.slice(2);
+    if (!email || rest.length) {
+      throw new Error('Usage: npm run promote-admin -- <email>');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const user = await User.findOneAndUpdate(
+      { email: email.trim().toLowerCase() },
+      { role: 'admin' },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(`No registered user with email ${email}`);
+    }
+
+    console.log(`✅ ${user.username} (${user.email}) is now an admin`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error promoting admin:', error.message);
+    process.exit(1);
+  }
+};
+
+promoteAdmin();
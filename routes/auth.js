@@ -1,7 +1,9 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { authenticate } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from '../models/User.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { resolveCurrency } from '../utils/currency.js';
 
 const router = express.Router();
 
@@ -50,7 +52,7 @@ router.post('/register', async (req, res) => {
     const user = new User({ 
       username: trimmedUsername, 
       email: trimmedEmail.toLowerCase(), 
-      password: trimmedPassword 
+      password: trimmedPassword
     });
     await user.save();
 
@@ -61,7 +63,7 @@ router.post('/register', async (req, res) => {
     }
 
     const token = jwt.sign(
-      { userId: user._id },
+      { userId: user._id, role: user.role },
       jwtSecret || 'your-secret-key',
       { expiresIn: '7d' }
     );
@@ -71,7 +73,9 @@ router.post('/register', async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency
       }
     });
   } catch (error) {
@@ -138,7 +142,7 @@ router.post('/login', async (req, res) => {
     }
 
     const token = jwt.sign(
-      { userId: user._id },
+      { userId: user._id, role: user.role },
       jwtSecret || 'your-secret-key',
       { expiresIn: '7d' }
     );
@@ -148,7 +152,9 @@ router.post('/login', async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency
       }
     });
   } catch (error) {
@@ -173,7 +179,9 @@ router.get('/me', authenticate, async (req, res) => {
       user: {
         id: req.user._id,
         username: req.user.username,
-        email: req.user.email
+        email: req.user.email,
+        role: req.user.role,
+        preferredCurrency: req.user.preferredCurrency
       }
     });
   } catch (error) {
@@ -187,6 +195,96 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Update the current user's preferences
+// Body: { currency } - a currency from GET /api/currencies
+router.patch('/me/preferences', authenticate, async (req, res) => {
+  try {
+    const { currency } = req.body || {};
+
+    if (typeof currency !== 'string' || !currency.trim()) {
+      return res.status(400).json({ message: 'currency is required' });
+    }
+
+    const rate = await resolveCurrency(currency);
+    if (!rate) {
+      return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { preferredCurrency: rate.currency },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in PATCH /api/auth/me/preferences:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to update preferences', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Assign a role to a user (admin only)
+// The first admin is promoted from the command line: npm run promote-admin -- <email>
+router.patch('/users/:id/role', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (!role || !USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    if (req.user._id.equals(id) && role !== 'admin') {
+      return res.status(400).json({ message: 'Admins cannot remove their own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        preferredCurrency: user.preferredCurrency
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in PATCH /api/auth/users/:id/role:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to update role', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
 export default router;
 
 
@@ -1,94 +1,57 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import Car from '../models/Car.js';
-import { authenticate } from '../middleware/auth.js';
+import Car, { findVariant } from '../models/Car.js';
+import { authenticate, optionalAuthenticate, requireRole } from '../middleware/auth.js';
+import { withCurrency } from '../middleware/currency.js';
 import { seedCars } from '../seed/seedCars.js';
+import { formatValidationErrors } from '../utils/validationErrors.js';
+import { listCars } from '../utils/carQuery.js';
+import { getSuggestions, getSuggestIndex, invalidateSuggestIndex } from '../utils/suggestIndex.js';
+import { parseNaturalQuery } from '../utils/nlQuery.js';
+import { SUPPORTED_STATES, resolveOnRoadRules, onRoadPricesForCar } from '../utils/onRoadPrice.js';
+import { parseLoanParams, loanSummary } from '../utils/loan.js';
+import { parseTcoParams, calculateTco, tcoVehicle } from '../utils/tco.js';
+import { parsePriceInput, withFormattedPrice } from '../utils/price.js';
+import { BASE_CURRENCY, toInrAmount, withConvertedAmounts, withConvertedPrice } from '../utils/currency.js';
+import { parseCompareRequest, runComparison } from '../utils/carComparison.js';
+import { exportFormatFor, renderComparison } from '../utils/comparisonExport.js';
 
 const router = express.Router();
 
+// Roles allowed to maintain the car catalog
+const canEditCars = requireRole('admin', 'editor');
+
 /**
- * Sort options mapping
+ * Fields clients may never set directly on a car document
  */
-const SORT_FIELDS = {
-  newest: { createdAt: -1 },
-  oldest: { createdAt: 1 },
-  priceAsc: { 'price.min': 1 },
-  priceDesc: { 'price.max': -1 },
-  powerAsc: { powerBHP: 1 },
-  powerDesc: { powerBHP: -1 },
-  yearAsc: { launchYear: 1 },
-  yearDesc: { launchYear: -1 },
-  mileageAsc: { mileage: 1 },
-  mileageDesc: { mileage: -1 },
+const PROTECTED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'avgPrice'];
+
+const sanitizeCarInput = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  const input = { ...body };
+  PROTECTED_FIELDS.forEach((field) => delete input[field]);
+  return input;
 };
 
-const isDev = () =>
-  process.env.NODE_ENV === 'development' || process.env.ALLOW_DEV_SEED === 'true';
+// Read routes that show prices
+const priced = [optionalAuthenticate, withCurrency];
+
+const LOAN_AMOUNTS = ['price', 'downPayment', 'loanAmount', 'emi', 'totalInterest', 'totalPayable'];
+const SCHEDULE_AMOUNTS = ['emi', 'principal', 'interest', 'balance'];
+const TCO_YEAR_AMOUNTS = ['fuel', 'maintenance', 'insurance', 'depreciation', 'total'];
 
 /**
- * Build comparison matrix for multiple cars
- * Returns aligned specifications for easy comparison
+ * Loan summary with `converted` amounts, including each schedule row
  */
-const buildComparison = (cars) => {
-  const specKeys = [
-    { key: 'brand', label: 'Brand' },
-    { key: 'model', label: 'Model' },
-    { key: 'bodyType', label: 'Body Type' },
-    { key: 'fuelType', label: 'Fuel Type' },
-    { key: 'transmission', label: 'Transmission' },
-    { key: 'driveType', label: 'Drive Type' },
-    { key: 'powerBHP', label: 'Power (BHP)' },
-    { key: 'torqueNm', label: 'Torque (Nm)' },
-    { key: 'topSpeed', label: 'Top Speed (km/h)' },
-    { key: 'zeroToHundred', label: '0-100 km/h (s)' },
-    { key: 'mileage', label: 'Mileage (km/L)' },
-    { key: 'range', label: 'Range (km)' },
-    { key: 'seatingCapacity', label: 'Seating Capacity' },
-    { key: 'safetyRating', label: 'Safety Rating' },
-    { key: 'launchYear', label: 'Launch Year' },
-    { key: 'engine.displacement', label: 'Engine (cc)' },
-    { key: 'engine.cylinders', label: 'Cylinders' },
-    { key: 'engine.turbo', label: 'Turbo' },
-    { key: 'price', label: 'Price (INR)' },
-  ];
-
-  const aligned = specKeys.map(({ key, label }) => {
-    const values = cars.map((c) => {
-      let value = null;
-      
-      // Handle nested keys
-      if (key.includes('.')) {
-        const parts = key.split('.');
-        value = c[parts[0]]?.[parts[1]] ?? null;
-      } else if (key === 'price') {
-        // Format price range
-        if (c.price?.min && c.price?.max) {
-          value = c.price.min === c.price.max 
-            ? `₹${c.price.min.toLocaleString('en-IN')}` 
-            : `₹${c.price.min.toLocaleString('en-IN')} - ₹${c.price.max.toLocaleString('en-IN')}`;
-        } else if (c.price?.min) {
-          value = `₹${c.price.min.toLocaleString('en-IN')}`;
-        } else if (c.price?.max) {
-          value = `₹${c.price.max.toLocaleString('en-IN')}`;
-        }
-      } else {
-        value = c[key] ?? null;
-      }
-      
-      return {
-        carId: c._id,
-        value: value,
-      };
-    });
-    
-    const base = values[0]?.value;
-    const differs = values.some((v) => String(v.value) !== String(base));
-    
-    return { key, label, values, differs };
-  });
+const convertLoan = (summary, rate) => withConvertedAmounts({
+  ...summary,
+  ...(summary.schedule && {
+    schedule: summary.schedule.map((row) => withConvertedAmounts(row, SCHEDULE_AMOUNTS, rate)),
+  }),
+}, LOAN_AMOUNTS, rate);
 
-  return aligned;
-};
+const isDev = () =>
+  process.env.NODE_ENV === 'development' || process.env.ALLOW_DEV_SEED === 'true';
 
 /**
  * GET /api/cars
@@ -96,158 +59,50 @@ const buildComparison = (cars) => {
  * Query params:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 12, max: 50)
- * - q: Search query (text search)
+ * - q: Search query (text search; typo-corrected with `didYouMean` when few cars match)
  * - brand: Filter by brand (case-insensitive)
  * - bodyType: Filter by body type (SUV, Sedan, etc.)
  * - fuelType: Filter by fuel type (Petrol, Diesel, EV, Hybrid)
  * - transmission: Filter by transmission (Manual, Automatic, etc.)
- * - minPrice: Minimum price filter
+ * - minPrice: Minimum price filter (raw INR or lakh/crore notation: 5L, 1.2cr)
  * - maxPrice: Maximum price filter
- * - minPower: Minimum power (BHP) filter
- * - launchYear: Filter by launch year
+ * - currency: Display currency (see GET /api/currencies, defaults to the signed-in
+ *   user's preferredCurrency, then INR) - minPrice/maxPrice are read in this currency
+ *   and cars get `priceConverted` next to the original INR `price`
+ * - driveType: Filter by drive type (FWD, RWD, AWD, 4WD)
+ *   brand, bodyType, fuelType, transmission and driveType accept comma-separated
+ *   values (bodyType=SUV,MPV) and exclusions (fuelType!=Diesel)
+ * - maxEmi: Cars affordable at this monthly EMI (with downPayment/downPaymentPercent,
+ *   interestRate and tenureMonths - see GET /api/cars/emi)
+ * - turbo: Filter turbocharged engines (true/false)
+ * - minPower/maxPower, minTorque/maxTorque, minTopSpeed/maxTopSpeed,
+ *   minZeroToHundred/maxZeroToHundred, minMileage/maxMileage, minRange/maxRange,
+ *   minSeats/maxSeats, minSafetyRating/maxSafetyRating, minDisplacement/maxDisplacement,
+ *   minYear/maxYear: Numeric range filters
+ * - launchYear: Filter by exact launch year
  * - discontinued: Filter discontinued cars (true/false)
  * - tags: Comma-separated tags
- * - sort: Sort option (newest, priceAsc, priceDesc, powerAsc, powerDesc, yearAsc, yearDesc)
+ * - sort: Sort option (newest, priceAsc, priceDesc, powerAsc, powerDesc, yearAsc, yearDesc,
+ *   relevance - text score, the default when q is set)
+ * - boostFeatured: true to rank featured cars higher with sort=relevance
+ * - paginate=cursor / cursor: Cursor pagination (returns nextCursor/prevCursor, no totals);
+ *   not available in relevance order, so text searches need an explicit sort
+ * - facets: true to include per-value counts (brand, bodyType, fuelType, transmission,
+ *   driveType) and price/power buckets for the filtered result set
+ * fuelType, transmission, price, power and mileage filters also match individual variants
+ * (fields a variant leaves out are taken from the car); matching trims are returned as
+ * `matchingVariants` with those fields filled in
+ * Text searches return `highlights` ([{ field, snippet }]) showing which fields matched
+ * See utils/carQuery.js - every listing endpoint accepts the same params.
  */
-router.get('/', async (req, res) => {
+router.get('/', priced, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 12,
-      q,
-      brand,
-      bodyType,
-      fuelType,
-      transmission,
-      minPrice,
-      maxPrice,
-      minPower,
-      launchYear,
-      discontinued,
-      tags,
-      sort = 'newest',
-    } = req.query || {};
-
-    const query = {};
-    
-    // Text search
-    if (q && typeof q === 'string' && q.trim()) {
-      query.$text = { $search: q.trim() };
-    }
-    
-    // Brand filter (case-insensitive)
-    if (brand && typeof brand === 'string' && brand.trim()) {
-      query.brand = { $regex: brand.trim().toUpperCase(), $options: 'i' };
-    }
-    
-    // Body type filter
-    if (bodyType && typeof bodyType === 'string') {
-      query.bodyType = bodyType.trim();
-    }
-    
-    // Fuel type filter
-    if (fuelType && typeof fuelType === 'string') {
-      query.fuelType = fuelType.trim();
-    }
-    
-    // Transmission filter
-    if (transmission && typeof transmission === 'string') {
-      query.transmission = transmission.trim();
+    const result = await listCars(req.query || {}, { currency: req.currency });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
-    
-    // Price range filter
-    if (minPrice || maxPrice) {
-      query.$or = [];
-      const min = minPrice ? Number(minPrice) : null;
-      const max = maxPrice ? Number(maxPrice) : null;
-      
-      if (isNaN(min) && min !== null) {
-        return res.status(400).json({ message: 'Invalid minPrice value' });
-      }
-      if (isNaN(max) && max !== null) {
-        return res.status(400).json({ message: 'Invalid maxPrice value' });
-      }
-      
-      if (min !== null && max !== null && min > max) {
-        return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice' });
-      }
-      
-      if (min !== null && max !== null) {
-        query.$or.push(
-          { 'price.min': { $gte: min, $lte: max } },
-          { 'price.max': { $gte: min, $lte: max } },
-          { 
-            $and: [
-              { 'price.min': { $lte: min } },
-              { 'price.max': { $gte: max } }
-            ]
-          }
-        );
-      } else if (min !== null) {
-        query.$or.push(
-          { 'price.max': { $gte: min } },
-          { 'price.min': { $gte: min } }
-        );
-      } else if (max !== null) {
-        query.$or.push(
-          { 'price.min': { $lte: max } },
-          { 'price.max': { $lte: max } }
-        );
-      }
-    }
-    
-    // Power filter
-    if (minPower) {
-      const power = Number(minPower);
-      if (isNaN(power)) {
-        return res.status(400).json({ message: 'Invalid minPower value' });
-      }
-      query.powerBHP = { $gte: power };
-    }
-    
-    // Launch year filter
-    if (launchYear) {
-      const year = Number(launchYear);
-      if (isNaN(year)) {
-        return res.status(400).json({ message: 'Invalid launchYear value' });
-      }
-      query.launchYear = year;
-    }
-    
-    // Discontinued filter
-    if (discontinued !== undefined) {
-      query.discontinued = discontinued === 'true' || discontinued === true;
-    }
-    
-    // Tags filter
-    if (tags && typeof tags === 'string') {
-      const tagArr = tags.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
-      if (tagArr.length) {
-        query.tags = { $in: tagArr };
-      }
-    }
-
-    const numericLimit = Math.min(Math.max(Number(limit) || 12, 1), 50);
-    const numericPage = Math.max(Number(page) || 1, 1);
-
-    const sortOption = SORT_FIELDS[sort] || SORT_FIELDS.newest;
-
-    const [data, total] = await Promise.all([
-      Car.find(query)
-        .sort(sortOption)
-        .skip((numericPage - 1) * numericLimit)
-        .limit(numericLimit)
-        .lean(),
-      Car.countDocuments(query),
-    ]);
 
-    res.json({
-      data: data || [],
-      page: numericPage,
-      totalPages: Math.ceil(total / numericLimit),
-      total: total || 0,
-      limit: numericLimit,
-    });
+    res.json(result);
   } catch (error) {
     console.error('❌ Error in GET /api/cars:', error);
     console.error('Error stack:', error.stack);
@@ -281,36 +136,23 @@ router.get('/brands', async (req, res) => {
 /**
  * GET /api/cars/brand/:brand
  * Get all cars by brand
+ * Accepts the same filter, sort and pagination params as GET /api/cars
  */
-router.get('/brand/:brand', async (req, res) => {
+router.get('/brand/:brand', priced, async (req, res) => {
   try {
     const { brand } = req.params;
-    const { page = 1, limit = 12, sort = 'newest' } = req.query || {};
     
-    if (!brand || typeof brand !== 'string') {
+    if (!brand || typeof brand !== 'string' || !brand.trim()) {
       return res.status(400).json({ message: 'Brand parameter is required' });
     }
     
-    const query = { brand: { $regex: brand.trim().toUpperCase(), $options: 'i' } };
-    
-    const numericLimit = Math.min(Math.max(Number(limit) || 12, 1), 50);
-    const numericPage = Math.max(Number(page) || 1, 1);
-    const sortOption = SORT_FIELDS[sort] || SORT_FIELDS.newest;
-    
-    const [data, total] = await Promise.all([
-      Car.find(query)
-        .sort(sortOption)
-        .skip((numericPage - 1) * numericLimit)
-        .limit(numericLimit)
-        .lean(),
-      Car.countDocuments(query),
-    ]);
+    const result = await listCars({ ...req.query, brand }, { currency: req.currency });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
     
     res.json({
-      data: data || [],
-      page: numericPage,
-      totalPages: Math.ceil((total || 0) / numericLimit),
-      total: total || 0,
+      ...result,
       brand: brand.trim().toUpperCase(),
     });
   } catch (error) {
@@ -327,36 +169,23 @@ router.get('/brand/:brand', async (req, res) => {
 /**
  * GET /api/cars/body-type/:bodyType
  * Get all cars by body type
+ * Accepts the same filter, sort and pagination params as GET /api/cars
  */
-router.get('/body-type/:bodyType', async (req, res) => {
+router.get('/body-type/:bodyType', priced, async (req, res) => {
   try {
     const { bodyType } = req.params;
-    const { page = 1, limit = 12, sort = 'newest' } = req.query || {};
     
-    if (!bodyType || typeof bodyType !== 'string') {
+    if (!bodyType || typeof bodyType !== 'string' || !bodyType.trim()) {
       return res.status(400).json({ message: 'Body type parameter is required' });
     }
     
-    const query = { bodyType: bodyType.trim() };
-    
-    const numericLimit = Math.min(Math.max(Number(limit) || 12, 1), 50);
-    const numericPage = Math.max(Number(page) || 1, 1);
-    const sortOption = SORT_FIELDS[sort] || SORT_FIELDS.newest;
-    
-    const [data, total] = await Promise.all([
-      Car.find(query)
-        .sort(sortOption)
-        .skip((numericPage - 1) * numericLimit)
-        .limit(numericLimit)
-        .lean(),
-      Car.countDocuments(query),
-    ]);
+    const result = await listCars({ ...req.query, bodyType }, { currency: req.currency });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
     
     res.json({
-      data: data || [],
-      page: numericPage,
-      totalPages: Math.ceil((total || 0) / numericLimit),
-      total: total || 0,
+      ...result,
       bodyType: bodyType.trim(),
     });
   } catch (error) {
@@ -373,120 +202,170 @@ router.get('/body-type/:bodyType', async (req, res) => {
 /**
  * GET /api/cars/search
  * Advanced search endpoint
- * Supports: brand, price range, fuel type, body type, transmission
+ * Accepts the same filter, sort and pagination params as GET /api/cars
  */
-router.get('/search', async (req, res) => {
+router.get('/search', priced, async (req, res) => {
   try {
-    const {
-      q,
-      brand,
-      bodyType,
-      fuelType,
-      transmission,
-      minPrice,
-      maxPrice,
-      minPower,
-      page = 1,
-      limit = 12,
-      sort = 'newest',
-    } = req.query || {};
-    
-    const query = {};
-    
-    // Text search
-    if (q && typeof q === 'string' && q.trim()) {
-      query.$text = { $search: q.trim() };
+    const result = await listCars(req.query || {}, { currency: req.currency });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
     
-    if (brand && typeof brand === 'string' && brand.trim()) {
-      query.brand = { $regex: brand.trim().toUpperCase(), $options: 'i' };
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error in GET /api/cars/search:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Search failed', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/cars/suggest
+ * Typeahead suggestions - ranked prefix matches on title, brand, model and tags
+ * Query params:
+ * - q: Partial search text (e.g. "fortu")
+ * - limit: Suggestions per group (default: 5, max: 10)
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q } = req.query || {};
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.json({ query: '', brands: [], models: [], tags: [] });
     }
-    
-    if (bodyType && typeof bodyType === 'string') {
-      query.bodyType = bodyType.trim();
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 10);
+    const suggestions = await getSuggestions(q, { limit });
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ query: q.trim(), ...suggestions });
+  } catch (error) {
+    console.error('❌ Error in GET /api/cars/suggest:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to fetch suggestions', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/cars/nl-search
+ * Natural-language search - "petrol SUV under 10 lakh automatic 7 seater"
+ * Extracts bodyType, fuelType, transmission, driveType, seating, power, engine size, brand and
+ * price (lakh/crore aware) from q, runs them as GET /api/cars filters, and searches
+ * any leftover words as text. Explicit filter params override parsed ones.
+ * Returns the listing plus `interpretation` ({ filters, matched, remainingText })
+ */
+router.get('/nl-search', priced, async (req, res) => {
+  try {
+    const { q, ...params } = req.query || {};
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: 'Query parameter "q" is required' });
     }
-    
-    if (fuelType && typeof fuelType === 'string') {
-      query.fuelType = fuelType.trim();
+
+    const { brands } = await getSuggestIndex();
+    const interpretation = parseNaturalQuery(q, { brands: brands.map((b) => b.value) });
+
+    const result = await listCars({
+      ...interpretation.filters,
+      ...params,
+      ...(interpretation.remainingText && { q: interpretation.remainingText }),
+    }, { currency: req.currency });
+    if (result.error) {
+      return res.status(400).json({ message: result.error, interpretation });
     }
-    
-    if (transmission && typeof transmission === 'string') {
-      query.transmission = transmission.trim();
+
+    res.json({
+      ...result,
+      query: q.trim(),
+      interpretation,
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/cars/nl-search:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Search failed', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/cars/emi
+ * Loan calculator - monthly EMI, total interest and amortisation schedule
+ * Query params:
+ * - carId: Car to finance - returns `base` (price.min) and `top` (price.max) loans
+ * - price: Or a price to finance (raw INR or lakh notation: 8.5L)
+ * - downPayment (amount) or downPaymentPercent, interestRate (annual %), tenureMonths
+ * - schedule: false to omit the month-by-month schedule
+ * - currency: Display currency - price and downPayment are read in it, and loans
+ *   and schedule rows get `converted` amounts next to the INR ones
+ */
+router.get('/emi', priced, async (req, res) => {
+  try {
+    const { carId, price } = req.query || {};
+    const loan = parseLoanParams(req.query || {});
+    if (loan.error) {
+      return res.status(400).json({ message: loan.error });
     }
-    
-    // Price range
-    if (minPrice || maxPrice) {
-      query.$or = [];
-      const min = minPrice ? Number(minPrice) : null;
-      const max = maxPrice ? Number(maxPrice) : null;
-      
-      if (isNaN(min) && min !== null) {
-        return res.status(400).json({ message: 'Invalid minPrice value' });
-      }
-      if (isNaN(max) && max !== null) {
-        return res.status(400).json({ message: 'Invalid maxPrice value' });
+    const options = { schedule: req.query.schedule !== 'false' && req.query.schedule !== '0' };
+    const rate = req.currency;
+    const converted = rate.currency !== BASE_CURRENCY;
+    if (converted && loan.downPayment !== null) {
+      loan.downPayment = toInrAmount(loan.downPayment, rate);
+    }
+    const summary = (amount) => convertLoan(loanSummary(amount, loan, options), rate);
+
+    if (carId) {
+      if (typeof carId !== 'string' || !mongoose.Types.ObjectId.isValid(carId)) {
+        return res.status(400).json({ message: 'Invalid car ID format' });
       }
-      
-      if (min !== null && max !== null && min > max) {
-        return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice' });
+
+      const car = await Car.findById(carId, { title: 1, price: 1 }).lean();
+      if (!car) {
+        return res.status(404).json({ message: 'Car not found' });
       }
-      
-      if (min !== null && max !== null) {
-        query.$or.push(
-          { 'price.min': { $gte: min, $lte: max } },
-          { 'price.max': { $gte: min, $lte: max } },
-          { 
-            $and: [
-              { 'price.min': { $lte: min } },
-              { 'price.max': { $gte: max } }
-            ]
-          }
-        );
-      } else if (min !== null) {
-        query.$or.push(
-          { 'price.max': { $gte: min } },
-          { 'price.min': { $gte: min } }
-        );
-      } else if (max !== null) {
-        query.$or.push(
-          { 'price.min': { $lte: max } },
-          { 'price.max': { $lte: max } }
-        );
+
+      const base = car.price?.min || car.price?.max;
+      const top = car.price?.max || car.price?.min;
+      if (!base) {
+        return res.status(400).json({ message: 'Car has no ex-showroom price' });
       }
+
+      return res.json({
+        car: { id: car._id, title: car.title },
+        currency: rate.currency,
+        terms: loan,
+        base: summary(base),
+        top: summary(top),
+      });
     }
-    
-    if (minPower) {
-      const power = Number(minPower);
-      if (isNaN(power)) {
-        return res.status(400).json({ message: 'Invalid minPower value' });
-      }
-      query.powerBHP = { $gte: power };
+
+    let amount = parsePriceInput(price);
+    if (amount === null) {
+      return res.status(400).json({ message: 'Provide either "carId" or "price"' });
     }
-    
-    const numericLimit = Math.min(Math.max(Number(limit) || 12, 1), 50);
-    const numericPage = Math.max(Number(page) || 1, 1);
-    const sortOption = SORT_FIELDS[sort] || SORT_FIELDS.newest;
-    
-    const [data, total] = await Promise.all([
-      Car.find(query)
-        .sort(sortOption)
-        .skip((numericPage - 1) * numericLimit)
-        .limit(numericLimit)
-        .lean(),
-      Car.countDocuments(query),
-    ]);
-    
+    if (Number.isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'Invalid price value' });
+    }
+    if (converted) amount = toInrAmount(amount, rate);
+
     res.json({
-      data: data || [],
-      page: numericPage,
-      totalPages: Math.ceil((total || 0) / numericLimit),
-      total: total || 0,
+      currency: rate.currency,
+      terms: loan,
+      loan: summary(amount),
     });
   } catch (error) {
-    console.error('❌ Error in GET /api/cars/search:', error);
+    console.error('❌ Error in GET /api/cars/emi:', error);
     console.error('Error stack:', error.stack);
     res.status(500).json({ 
-      message: 'Search failed', 
+      message: 'EMI calculation failed', 
       detail: error.message,
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
@@ -497,7 +376,7 @@ router.get('/search', async (req, res) => {
  * GET /api/cars/featured
  * Get featured cars
  */
-router.get('/featured', async (req, res) => {
+router.get('/featured', priced, async (req, res) => {
   try {
     const limit = Math.min(Math.max(Number(req.query?.limit) || 6, 1), 12);
     let featured = await Car.find({ isFeatured: true, discontinued: false })
@@ -525,7 +404,7 @@ router.get('/featured', async (req, res) => {
       }
     }
 
-    res.json(featured || []);
+    res.json((featured || []).map((car) => withConvertedPrice(withFormattedPrice(car), req.currency)));
   } catch (error) {
     console.error('❌ Error in GET /api/cars/featured:', error);
     console.error('Error stack:', error.stack);
@@ -538,16 +417,17 @@ router.get('/featured', async (req, res) => {
 });
 
 /**
- * POST /api/cars/seed (dev only)
+ * POST /api/cars/seed (dev only, admin)
  * Force seed cars - useful for development
  */
-router.post('/seed', async (req, res) => {
+router.post('/seed', authenticate, requireRole('admin'), async (req, res) => {
   if (!isDev()) {
     return res.status(403).json({ message: 'Seeding is disabled outside development' });
   }
 
   try {
-    const result = await seedCars();
+    const result = await seedCars({ triggeredBy: req.user._id });
+    invalidateSuggestIndex();
     const count = await Car.countDocuments();
     res.json({ 
       message: 'Seed completed', 
@@ -567,61 +447,46 @@ router.post('/seed', async (req, res) => {
 
 /**
  * POST /api/cars/compare
- * Compare up to 4 cars
- * Body: { ids: [id1, id2, id3, id4] }
+ * Compare 2 to 8 cars, optionally a specific variant of each
+ * Body: { ids: [id1, { id: id2, variant: variantIdOrName }, ...], currency?, tco? }
+ * tco: true (defaults) or { annualKm, years, petrolPrice, ... } adds a cost of ownership row
+ * weights: { performance, efficiency, safety, price } for the overall score (default 1 each)
+ * features: ['Sunroof', 'ADAS', ...] are checked first in the yes/no feature rows,
+ * followed by every key feature of the compared cars
+ * Rows carry a `section`: specs, ratings (average rating and review count), features
+ * or highlights (pros and cons)
+ * template: which rows to show and in what order - full (default), performance, family
+ * or ev (see GET /api/compare/templates); scores always use every row
+ * `headToHead` compares each pair of cars over the shown rows with a winner
+ * Rows with a better direction mark their `winners`; `scores` ranks the cars
+ * ?format=csv|pdf (or an Accept header of text/csv / application/pdf) downloads
+ * the comparison as a CSV or printable PDF spec sheet instead of JSON
+ * The same car may appear more than once to compare its trims
  */
-router.post('/compare', async (req, res) => {
+router.post('/compare', priced, async (req, res) => {
   try {
-    const ids = req.body?.ids;
-    
-    if (!ids) {
-      return res.status(400).json({ message: 'Request body must include "ids" array' });
-    }
-
-    if (!Array.isArray(ids)) {
-      return res.status(400).json({ message: '"ids" must be an array' });
+    const format = exportFormatFor(req);
+    if (!format) {
+      return res.status(400).json({ message: 'format must be one of: json, csv, pdf' });
     }
 
-    if (ids.length < 2 || ids.length > 4) {
-      return res.status(400).json({
-        message: 'Provide between 2 and 4 car ids in "ids" array',
-      });
-    }
-
-    // Validate ObjectIds
-    const invalidIds = ids.filter((id) => !id || typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id));
-    if (invalidIds.length > 0) {
-      return res.status(400).json({ 
-        message: 'One or more ids are invalid',
-        invalidIds 
-      });
+    const parsed = parseCompareRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error, ...parsed.details });
     }
 
-    // Fetch cars in the order specified
-    const cars = await Car.find({ _id: { $in: ids } }).lean();
-    const foundIds = cars.map((c) => c._id.toString());
-    const missing = ids.filter((id) => !foundIds.includes(id));
-    
-    if (missing.length) {
-      return res.status(404).json({ 
-        message: 'Some cars were not found', 
-        missing 
-      });
+    const result = await runComparison({ ...parsed, currency: req.currency });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error, ...result.details });
     }
 
-    // Maintain order from request
-    const orderedCars = ids.map((id) => cars.find((c) => c._id.toString() === id)).filter(Boolean);
-
-    if (orderedCars.length !== ids.length) {
-      return res.status(500).json({ message: 'Failed to order cars correctly' });
+    if (format !== 'json') {
+      const file = renderComparison(result, format);
+      res.attachment(file.filename).type(file.contentType);
+      return res.send(file.body);
     }
 
-    const comparison = buildComparison(orderedCars);
-
-    res.json({
-      cars: orderedCars,
-      comparison,
-    });
+    res.json(result);
   } catch (error) {
     console.error('❌ Error in POST /api/cars/compare:', error);
     console.error('Error stack:', error.stack);
@@ -638,10 +503,10 @@ router.post('/compare', async (req, res) => {
  * Get a single car by ID
  * NOTE: This must be last to avoid conflicts with routes like /brands, /count, etc.
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', priced, async (req, res) => {
   try {
     // Skip if it's a known route (shouldn't happen due to route order, but safety check)
-    const knownRoutes = ['brands', 'count', 'featured', 'search', 'seed', 'compare', 'body-type', 'brand'];
+    const knownRoutes = ['brands', 'count', 'featured', 'search', 'suggest', 'nl-search', 'emi', 'seed', 'compare', 'body-type', 'brand'];
     if (knownRoutes.includes(req.params.id)) {
       return res.status(404).json({ message: 'Route not found' });
     }
@@ -660,7 +525,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Car not found' });
     }
 
-    res.json(car);
+    res.json(withConvertedPrice(withFormattedPrice(car), req.currency));
   } catch (error) {
     console.error('❌ Error in GET /api/cars/:id:', error);
     console.error('Error stack:', error.stack);
@@ -672,4 +537,259 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cars/:id/on-road-price
+ * Itemised on-road price (road tax, registration, insurance estimate and other
+ * charges) per variant, from the state rule tables in utils/onRoadRules.js
+ * Query params:
+ * - state: State code or name (required, e.g. KA or Karnataka)
+ * - city: City for city-specific charges (optional)
+ * - variant: Variant id or name (optional, default: every variant)
+ * - currency: Display currency - variants and charges get `converted` amounts
+ *   next to the INR ones
+ */
+router.get('/:id/on-road-price', priced, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { state, city, variant } = req.query || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid car ID format' });
+    }
+
+    if (!state || typeof state !== 'string') {
+      return res.status(400).json({ message: 'Query parameter "state" is required', supportedStates: SUPPORTED_STATES });
+    }
+
+    const resolved = resolveOnRoadRules(state, city);
+    if (!resolved) {
+      return res.status(400).json({ message: `Unsupported state: ${state}`, supportedStates: SUPPORTED_STATES });
+    }
+
+    const car = await Car.findById(id).lean();
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const variants = onRoadPricesForCar(car, resolved.rules, { variant });
+    if (!variants.length) {
+      return res.status(variant ? 404 : 400).json({
+        message: variant ? 'Variant not found' : 'Car has no ex-showroom price'
+      });
+    }
+
+    res.json({
+      carId: car._id,
+      title: car.title,
+      currency: req.currency.currency,
+      state: resolved.state,
+      city: resolved.city,
+      cityRulesApplied: resolved.cityRulesApplied,
+      variants: variants.map((v) => withConvertedAmounts({
+        ...v,
+        charges: v.charges.map((charge) => withConvertedAmounts(charge, ['amount'], req.currency)),
+      }, ['exShowroom', 'total'], req.currency)),
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/cars/:id/on-road-price:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to calculate on-road price', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/cars/:id/tco
+ * Total cost of ownership - fuel, maintenance, insurance and depreciation
+ * Query params:
+ * - annualKm: Distance driven per year (default: 12000)
+ * - years: Ownership period (default: 5)
+ * - petrolPrice, dieselPrice, cngPrice, lpgPrice, electricityPrice: Energy prices (INR)
+ * - variant: Variant id or name (default: the base price)
+ * - currency: Display currency - totals, costs and yearly rows get `converted`
+ *   amounts next to the INR ones
+ */
+router.get('/:id/tco', priced, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variant } = req.query || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid car ID format' });
+    }
+
+    const assumptions = parseTcoParams(req.query || {});
+    if (assumptions.error) {
+      return res.status(400).json({ message: assumptions.error });
+    }
+
+    const car = await Car.findById(id).lean();
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    let match = null;
+    if (variant) {
+      match = findVariant(car, variant);
+      if (!match) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+    }
+
+    const vehicle = tcoVehicle(car, match);
+    const tco = calculateTco(vehicle, assumptions);
+    if (!tco) {
+      return res.status(400).json({ message: 'Car has no ex-showroom price' });
+    }
+
+    const rate = req.currency;
+    res.json(withConvertedAmounts({
+      carId: car._id,
+      title: car.title,
+      variant: match ? { _id: match._id, name: match.name } : null,
+      currency: rate.currency,
+      price: vehicle.price,
+      fuelType: vehicle.fuelType,
+      assumptions,
+      ...tco,
+      costs: withConvertedAmounts(tco.costs, Object.keys(tco.costs), rate),
+      perYear: tco.perYear.map((row) => withConvertedAmounts(row, TCO_YEAR_AMOUNTS, rate)),
+    }, ['price', 'total', 'perKm', 'residualValue'], rate));
+  } catch (error) {
+    console.error('❌ Error in GET /api/cars/:id/tco:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to calculate cost of ownership', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/cars
+ * Create a new car (admin/editor)
+ * Body: Car document fields (validated against the Car schema)
+ */
+router.post('/', authenticate, canEditCars, async (req, res) => {
+  try {
+    const input = sanitizeCarInput(req.body);
+    if (!input) {
+      return res.status(400).json({ message: 'Request body must be a car object' });
+    }
+
+    // 'throw' reports unknown fields (e.g. a typo) instead of silently dropping them
+    const car = new Car(input, 'throw');
+    await car.save();
+    invalidateSuggestIndex();
+
+    res.status(201).json(car);
+  } catch (error) {
+    const errors = formatValidationErrors(error);
+    if (errors) {
+      return res.status(400).json({ message: 'Car validation failed', errors });
+    }
+
+    console.error('❌ Error in POST /api/cars:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to create car', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * Shared handler for PUT (full replace) and PATCH (partial update)
+ */
+const updateCar = (mode) => async (req, res) => {
+  const method = mode === 'replace' ? 'PUT' : 'PATCH';
+  try {
+    const carId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(carId)) {
+      return res.status(400).json({ message: 'Invalid car ID format' });
+    }
+
+    const input = sanitizeCarInput(req.body);
+    if (!input || Object.keys(input).length === 0) {
+      return res.status(400).json({ message: 'Request body must include car fields to update' });
+    }
+
+    const car = await Car.findById(carId);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    // Unknown fields are reported instead of silently dropped - overwrite()
+    // takes no options, so PUT checks them with set() first
+    car.set(input, undefined, { strict: 'throw' });
+    if (mode === 'replace') {
+      car.overwrite(input);
+    }
+    await car.save();
+    invalidateSuggestIndex();
+
+    res.json(car);
+  } catch (error) {
+    const errors = formatValidationErrors(error);
+    if (errors) {
+      return res.status(400).json({ message: 'Car validation failed', errors });
+    }
+
+    console.error(`❌ Error in ${method} /api/cars/:id:`, error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to update car', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * PUT /api/cars/:id
+ * Replace a car document (admin/editor)
+ */
+router.put('/:id', authenticate, canEditCars, updateCar('replace'));
+
+/**
+ * PATCH /api/cars/:id
+ * Partially update a car (admin/editor)
+ * Nested fields can be sent as objects ({ price: { min } }) or dot paths ({ "price.min": ... })
+ */
+router.patch('/:id', authenticate, canEditCars, updateCar('merge'));
+
+/**
+ * DELETE /api/cars/:id
+ * Delete a car (admin/editor)
+ */
+router.delete('/:id', authenticate, canEditCars, async (req, res) => {
+  try {
+    const carId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(carId)) {
+      return res.status(400).json({ message: 'Invalid car ID format' });
+    }
+
+    const car = await Car.findByIdAndDelete(carId);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+    invalidateSuggestIndex();
+
+    res.json({ message: 'Car deleted', id: car._id });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/cars/:id:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to delete car', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
 export default router;
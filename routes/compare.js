@@ -0,0 +1,228 @@
+import express from 'express';
+import crypto from 'crypto';
+import Comparison from '../models/Comparison.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { withCurrency } from '../middleware/currency.js';
+import { parseCompareRequest, runComparison } from '../utils/carComparison.js';
+import { COMPARISON_TEMPLATES, DEFAULT_TEMPLATE } from '../utils/comparisonTemplates.js';
+import { exportFormatFor, renderComparison } from '../utils/comparisonExport.js';
+
+const router = express.Router();
+
+const SLUG_ATTEMPTS = 3;
+
+// 8 URL-safe characters
+const generateSlug = () => crypto.randomBytes(6).toString('base64url');
+
+/**
+ * Inputs for runComparison from a saved comparison
+ */
+const comparisonInputs = (saved) => ({
+  entries: saved.entries.map(({ car, variant }) => ({ id: car.toString(), variant })),
+  weights: {
+    performance: saved.weights?.performance ?? 1,
+    efficiency: saved.weights?.efficiency ?? 1,
+    safety: saved.weights?.safety ?? 1,
+    price: saved.weights?.price ?? 1,
+  },
+  tco: saved.tco || null,
+  features: saved.features || [],
+  template: saved.template || DEFAULT_TEMPLATE,
+});
+
+/**
+ * POST /api/compare
+ * Save a comparison and get a shareable slug
+ * Body: same as POST /api/cars/compare, plus an optional title
+ * Signed-in users own the comparisons they save (see GET /api/compare)
+ */
+router.post('/', optionalAuthenticate, withCurrency, async (req, res) => {
+  try {
+    const parsed = parseCompareRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error, ...parsed.details });
+    }
+
+    const { title } = req.body;
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({ message: 'title must be a string' });
+    }
+
+    // Only save comparisons that resolve against the current catalog
+    const result = await runComparison({ ...parsed, currency: req.currency });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error, ...result.details });
+    }
+
+    let saved = null;
+    for (let attempt = 1; !saved; attempt++) {
+      try {
+        saved = await Comparison.create({
+          slug: generateSlug(),
+          title: title?.trim() || undefined,
+          entries: parsed.entries.map(({ id, variant }) => ({ car: id, variant: variant ?? undefined })),
+          weights: parsed.weights,
+          tco: parsed.tco,
+          features: parsed.features,
+          template: parsed.template,
+          owner: req.user?._id,
+        });
+      } catch (error) {
+        // Retry on the (unlikely) slug collision
+        if (error.code !== 11000 || attempt >= SLUG_ATTEMPTS) throw error;
+      }
+    }
+
+    res.status(201).json({
+      slug: saved.slug,
+      title: saved.title ?? null,
+      createdAt: saved.createdAt,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/compare:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to save comparison',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/compare
+ * The signed-in user's saved comparisons, newest first
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const comparisons = await Comparison.find({ owner: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('entries.car', 'title')
+      .lean();
+
+    res.json((comparisons || []).map((c) => ({
+      slug: c.slug,
+      title: c.title ?? null,
+      cars: c.entries.map(({ car, variant }) => ({
+        id: car?._id ?? null,
+        title: car?.title ?? null,
+        variant: variant ?? null,
+      })),
+      createdAt: c.createdAt,
+    })));
+  } catch (error) {
+    console.error('❌ Error in GET /api/compare:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to fetch saved comparisons',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/compare/templates
+ * Comparison templates accepted as `template` by the compare endpoints
+ */
+router.get('/templates', (req, res) => {
+  res.json({
+    default: DEFAULT_TEMPLATE,
+    templates: Object.entries(COMPARISON_TEMPLATES).map(([name, { label, description, rows }]) => ({
+      name,
+      label,
+      description,
+      rows,
+    })),
+  });
+});
+
+/**
+ * GET /api/compare/:slug
+ * Open a saved comparison - rebuilt against current car data
+ * Accepts ?currency= like the car endpoints, and ?format=csv|pdf (or an Accept
+ * header) to download it like POST /api/cars/compare
+ * ?template= shows it with a different template than the one it was saved with
+ */
+router.get('/:slug', optionalAuthenticate, withCurrency, async (req, res) => {
+  try {
+    const format = exportFormatFor(req);
+    if (!format) {
+      return res.status(400).json({ message: 'format must be one of: json, csv, pdf' });
+    }
+
+    const { template } = req.query;
+    if (template !== undefined && !Object.hasOwn(COMPARISON_TEMPLATES, template)) {
+      return res.status(400).json({
+        message: `template must be one of: ${Object.keys(COMPARISON_TEMPLATES).join(', ')}`
+      });
+    }
+
+    const saved = await Comparison.findOne({ slug: req.params.slug }).lean();
+    if (!saved) {
+      return res.status(404).json({ message: 'Comparison not found' });
+    }
+
+    const inputs = comparisonInputs(saved);
+    const result = await runComparison({ ...inputs, template: template ?? inputs.template, currency: req.currency });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error, ...result.details });
+    }
+
+    if (format !== 'json') {
+      const file = renderComparison(result, format, {
+        title: saved.title || undefined,
+        filename: `comparison-${saved.slug}`,
+      });
+      res.attachment(file.filename).type(file.contentType);
+      return res.send(file.body);
+    }
+
+    res.json({
+      slug: saved.slug,
+      title: saved.title ?? null,
+      createdAt: saved.createdAt,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/compare/:slug:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to load comparison',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/compare/:slug
+ * Delete a saved comparison (owner or admin)
+ */
+router.delete('/:slug', authenticate, async (req, res) => {
+  try {
+    const saved = await Comparison.findOne({ slug: req.params.slug });
+    if (!saved) {
+      return res.status(404).json({ message: 'Comparison not found' });
+    }
+
+    const isOwner = saved.owner && saved.owner.equals(req.user._id);
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You can only delete your own comparisons' });
+    }
+
+    await saved.deleteOne();
+    res.json({ message: 'Comparison deleted' });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/compare/:slug:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to delete comparison',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { formatValidationErrors } from '../utils/validationErrors.js';
+import { BASE_CURRENCY, getRateTable, invalidateRateTable } from '../utils/currency.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/currencies
+ * Supported display currencies and their rates (INR per unit)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const table = await getRateTable();
+    res.json({
+      base: BASE_CURRENCY,
+      rates: [...table.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/currencies:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to fetch exchange rates',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/currencies/:currency (admin)
+ * Add or update a rate
+ * Body: { inrPerUnit, symbol? } - e.g. { inrPerUnit: 83.2, symbol: '$' } for USD
+ */
+router.put('/:currency', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const currency = req.params.currency.trim().toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ message: `${BASE_CURRENCY} is the base currency and cannot be changed` });
+    }
+
+    const { inrPerUnit, symbol } = req.body || {};
+    if (typeof inrPerUnit !== 'number' || !(inrPerUnit > 0)) {
+      return res.status(400).json({ message: 'inrPerUnit must be a positive number' });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      {
+        currency,
+        inrPerUnit,
+        ...(symbol !== undefined && { symbol }),
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    invalidateRateTable();
+
+    res.json(rate);
+  } catch (error) {
+    const errors = formatValidationErrors(error);
+    if (errors) {
+      return res.status(400).json({ message: 'Exchange rate validation failed', errors });
+    }
+
+    console.error('❌ Error in PUT /api/currencies/:currency:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to update exchange rate',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/currencies/:currency (admin)
+ * Remove a stored rate - built-in currencies fall back to their default rate
+ */
+router.delete('/:currency', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const currency = req.params.currency.trim().toUpperCase();
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!rate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    invalidateRateTable();
+
+    res.json({ message: 'Exchange rate removed' });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/currencies/:currency:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to remove exchange rate',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+export default router;
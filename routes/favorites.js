@@ -2,6 +2,9 @@ import express from 'express';
 import Favorite from '../models/Favorite.js';
 import Car from '../models/Car.js';
 import { authenticate } from '../middleware/auth.js';
+import { withFormattedPrice } from '../utils/price.js';
+import { withConvertedPrice } from '../utils/currency.js';
+import { withCurrency } from '../middleware/currency.js';
 
 const router = express.Router();
 
@@ -58,7 +61,7 @@ router.post('/:carId', authenticate, async (req, res) => {
 });
 
 // Get user's favorites
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, withCurrency, async (req, res) => {
   try {
     if (!req.user || !req.user._id) {
       return res.status(401).json({ message: 'User not authenticated' });
@@ -69,7 +72,10 @@ router.get('/', authenticate, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const cars = (favorites || []).map(fav => fav.carId).filter(Boolean);
+    const cars = (favorites || [])
+      .map(fav => fav.carId)
+      .filter(Boolean)
+      .map(car => withConvertedPrice(withFormattedPrice(car), req.currency));
     res.json(cars);
   } catch (error) {
     console.error('❌ Error in GET /api/favorites:', error);
@@ -1,7 +1,8 @@
 import express from 'express';
 import Review from '../models/Review.js';
 import Car from '../models/Car.js';
-import { authenticate } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { authenticate, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -97,6 +98,32 @@ router.get('/:carId', async (req, res) => {
   }
 });
 
+// Delete a review (moderation - admin/editor)
+router.delete('/:reviewId', authenticate, requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(400).json({ message: 'Invalid review ID format' });
+    }
+
+    const review = await Review.findByIdAndDelete(reviewId);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.json({ message: 'Review removed', id: review._id });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/reviews/:reviewId:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      message: 'Failed to remove review', 
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
 export default router;
 
 
@@ -1,11 +1,189 @@
 import express from 'express';
+import Car from '../models/Car.js';
+import SeedRun from '../models/SeedRun.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import {
+  seedCars,
+  forceSeedCars,
+  reseedBrand,
+  syncCars,
+  getSeedCatalogInfo,
+} from '../seed/seedCars.js';
+import { invalidateSuggestIndex } from '../utils/suggestIndex.js';
 
 const router = express.Router();
 
-router.post('/', (req, res) => {
-  res.json({
-    message: 'Seed route working'
-  });
+// Every seed operation is admin-only
+router.use(authenticate, requireRole('admin'));
+
+// Runs that load the whole built-in catalog - brand reseeds and fixture files
+// (seed.js --file) leave the rest of the catalog as it was
+const FULL_CATALOG_RUN = { brand: null, source: 'builtin' };
+
+/**
+ * GET /api/seed/status
+ * Last seed run, current car count and catalog version (seed file vs database)
+ * upToDate: the latest full built-in catalog run used the current catalog version
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const [carCount, lastRun, lastFullRun, brandCounts] = await Promise.all([
+      Car.countDocuments(),
+      SeedRun.findOne().sort({ createdAt: -1 }).populate('triggeredBy', 'username').lean(),
+      SeedRun.findOne(FULL_CATALOG_RUN).sort({ createdAt: -1 }).lean(),
+      Car.aggregate([
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    const catalog = getSeedCatalogInfo();
+
+    res.json({
+      carCount: carCount || 0,
+      brands: (brandCounts || []).map((b) => ({ brand: b._id, count: b.count })),
+      catalog,
+      lastSeed: lastRun
+        ? {
+            at: lastRun.createdAt,
+            mode: lastRun.mode,
+            brand: lastRun.brand,
+            source: lastRun.source,
+            catalogVersion: lastRun.catalogVersion,
+            inserted: lastRun.inserted,
+            updated: lastRun.updated,
+            deleted: lastRun.deleted,
+            triggeredBy: lastRun.triggeredBy?.username || null,
+          }
+        : null,
+      lastFullSeed: lastFullRun
+        ? { at: lastFullRun.createdAt, mode: lastFullRun.mode, catalogVersion: lastFullRun.catalogVersion }
+        : null,
+      upToDate: !!lastFullRun && lastFullRun.catalogVersion === catalog.version,
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/seed/status:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to fetch seed status',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/seed
+ * Seed the catalog only if the collection is empty
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await seedCars({ triggeredBy: req.user._id });
+    invalidateSuggestIndex();
+    const count = await Car.countDocuments();
+    res.json({
+      message: result?.skipped ? 'Seed skipped' : 'Seed completed',
+      result: result || {},
+      totalCars: count || 0
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/seed:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to seed cars',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/seed/force
+ * Delete every car and reseed the full catalog
+ */
+router.post('/force', async (req, res) => {
+  try {
+    const result = await forceSeedCars({ triggeredBy: req.user._id });
+    invalidateSuggestIndex();
+    const count = await Car.countDocuments();
+    res.json({
+      message: 'Force seed completed',
+      result: result || {},
+      totalCars: count || 0
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/seed/force:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to force seed cars',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/seed/sync
+ * Upsert seed cars by brand + model without touching unrelated data
+ * Body: { prune: boolean } - also delete cars that are no longer in the seed
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const prune = req.body?.prune === true || req.body?.prune === 'true';
+    const result = await syncCars({ prune, triggeredBy: req.user._id });
+    invalidateSuggestIndex();
+    const count = await Car.countDocuments();
+    res.json({
+      message: 'Sync completed',
+      result,
+      totalCars: count || 0
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/seed/sync:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to sync cars',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/seed/brand/:brand
+ * Replace one brand's cars with its seed entries
+ */
+router.post('/brand/:brand', async (req, res) => {
+  try {
+    const { brand } = req.params;
+    if (!brand || !brand.trim()) {
+      return res.status(400).json({ message: 'Brand parameter is required' });
+    }
+
+    const result = await reseedBrand(brand, { triggeredBy: req.user._id });
+    if (result.notFound) {
+      return res.status(404).json({
+        message: result.message,
+        availableBrands: getSeedCatalogInfo().brands
+      });
+    }
+    invalidateSuggestIndex();
+
+    const count = await Car.countDocuments();
+    res.json({
+      message: 'Brand reseed completed',
+      result,
+      totalCars: count || 0
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/seed/brand/:brand:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      message: 'Failed to reseed brand',
+      detail: error.message,
+      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
 });
 
 export default router;
@@ -1,19 +1,157 @@
+/* Catalog seed command.
+   Usage: npm run seed -- [flags]
+   --force           Delete existing cars and reseed (forceSeedCars)
+   --sync            Upsert by brand + model instead of skipping a non-empty collection
+   --prune           With --sync, delete cars that are no longer in the seed
+   --dry-run         Validate every record against the Car schema and print a report, no writes
+   --brand=BMW       Only seed cars of this brand
+   --file=path.json  Load cars from a JSON fixture (an array, or { "cars": [...] })
+   --migrate-text-index  Only replace an older Car text index with car_text_search
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import { seedCars } from './seed/seedCars.js';
+import Car, { CAR_TEXT_INDEX } from './models/Car.js';
+import {
+  seedCars,
+  forceSeedCars,
+  syncCars,
+  validateSeedCars,
+} from './seed/seedCars.js';
 
 dotenv.config();
 
+const FLAGS = ['force', 'sync', 'prune', 'dry-run', 'migrate-text-index'];
+const OPTIONS = ['brand', 'file'];
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      args[name] = true;
+    } else if (OPTIONS.includes(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (!value || value.startsWith('--')) {
+        throw new Error(`--${name} requires a value`);
+      }
+      args[name] = value;
+    } else {
+      throw new Error(`Unknown flag --${name}`);
+    }
+  }
+
+  if (args.force && args.sync) {
+    throw new Error('--force and --sync cannot be combined');
+  }
+  if (args.prune && !args.sync) {
+    throw new Error('--prune requires --sync');
+  }
+  return args;
+};
+
+const loadFixture = async (file) => {
+  const fullPath = path.resolve(process.cwd(), file);
+  const raw = await fs.readFile(fullPath, 'utf8');
+  const parsed = JSON.parse(raw);
+  const cars = Array.isArray(parsed) ? parsed : parsed?.cars;
+  if (!Array.isArray(cars)) {
+    throw new Error(`${file} must contain an array of cars or { "cars": [...] }`);
+  }
+  return cars;
+};
+
+const printValidationReport = (report) => {
+  console.log(`Catalog version: ${report.catalogVersion}`);
+  console.log(`Brands: ${report.brands.join(', ') || '(none)'}`);
+  console.log(`Records: ${report.total} total, ${report.valid} valid, ${report.invalid.length} invalid`);
+
+  report.invalid.forEach(({ index, brand, model, errors }) => {
+    console.log(`❌ #${index} ${brand || '?'} ${model || '?'}`);
+    Object.entries(errors).forEach(([field, message]) => {
+      console.log(`   - ${field}: ${message}`);
+    });
+  });
+
+  report.duplicates.forEach(({ index, duplicateOf, brand, model }) => {
+    console.log(`⚠️  #${index} ${brand} ${model} duplicates #${duplicateOf}`);
+  });
+};
+
+const connect = async () => {
+  await mongoose.connect(process.env.MONGO_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('Connected to MongoDB');
+};
+
+/**
+ * Drop any text index other than CAR_TEXT_INDEX (by name) and build the current one
+ * Other indexes are left alone
+ */
+const migrateTextIndex = async () => {
+  const indexes = await Car.collection.indexes();
+  const outdated = indexes
+    .filter(({ key, name }) => key._fts === 'text' && name !== CAR_TEXT_INDEX)
+    .map(({ name }) => name);
+
+  for (const name of outdated) {
+    await Car.collection.dropIndex(name);
+  }
+  await Car.createIndexes();
+  return outdated;
+};
+
 const seedDatabase = async () => {
   try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args['migrate-text-index']) {
+      await connect();
+      const dropped = await migrateTextIndex();
+      console.log(`Text index ${CAR_TEXT_INDEX} is in place. Dropped:`, dropped.length ? dropped.join(', ') : 'none');
+      process.exit(0);
+    }
+
+    const options = { brand: args.brand };
+    if (args.file) {
+      options.cars = await loadFixture(args.file);
+      options.source = path.basename(args.file);
+    }
+
+    // Always validate first so a bad fixture never reaches the database
+    const report = await validateSeedCars(options);
+    if (args['dry-run']) {
+      printValidationReport(report);
+      process.exit(report.invalid.length ? 1 : 0);
+    }
 
-    console.log('Connected to MongoDB');
+    if (report.total === 0) {
+      throw new Error(`No seed records${args.brand ? ` for brand ${args.brand}` : ''}`);
+    }
+    if (report.invalid.length) {
+      printValidationReport(report);
+      throw new Error(`${report.invalid.length} invalid seed records. Fix them or run with --dry-run for details.`);
+    }
 
-    const result = await seedCars();
+    await connect();
+
+    let result;
+    if (args.force) {
+      result = await forceSeedCars(options);
+    } else if (args.sync) {
+      result = await syncCars({ ...options, prune: !!args.prune });
+    } else {
+      result = await seedCars(options);
+    }
     console.log('Seed result:', result);
     process.exit(0);
   } catch (error) {
@@ -23,5 +161,3 @@ const seedDatabase = async () => {
 };
 
 seedDatabase();
-
-
@@ -1,5 +1,8 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import Car from '../models/Car.js';
+import SeedRun from '../models/SeedRun.js';
+import { formatValidationErrors } from '../utils/validationErrors.js';
 
 /**
  * Comprehensive Car Database Seed
@@ -35,6 +38,13 @@ const comprehensiveCars = [
       max: 899000,
       currency: 'INR',
     },
+    variants: [
+      { name: 'LXi', price: 599000, fuelType: 'Petrol', transmission: 'Manual', powerBHP: 88, mileage: 23.2 },
+      { name: 'VXi', price: 679000, fuelType: 'Petrol', transmission: 'Manual', powerBHP: 88, mileage: 23.2 },
+      { name: 'VXi AMT', price: 729000, fuelType: 'Petrol', transmission: 'AMT', powerBHP: 88, mileage: 23.8 },
+      { name: 'ZXi', price: 789000, fuelType: 'Petrol', transmission: 'Manual', powerBHP: 88, mileage: 23.2 },
+      { name: 'ZXi Plus AMT', price: 899000, fuelType: 'Petrol', transmission: 'AMT', powerBHP: 88, mileage: 23.8 },
+    ],
     launchYear: 2018,
     discontinued: false,
     safetyRating: 4,
@@ -1132,38 +1142,98 @@ const comprehensiveCars = [
   },
 ];
 
+
+/**
+ * Content hash of a seed dataset - changes whenever the data is edited,
+ * so status can report drift between the seed and the database
+ */
+const catalogVersionOf = (cars) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(cars))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Catalog version of the built-in seed data
+ */
+export const CATALOG_VERSION = catalogVersionOf(comprehensiveCars);
+
+/**
+ * Transform seed entries to match schema (handle legacy price format)
+ */
+const normalizeSeedCar = (car) => {
+  // If price is a number, convert to price object
+  if (typeof car.price === 'number') {
+    return {
+      ...car,
+      price: {
+        min: car.price,
+        max: car.price,
+        currency: 'INR',
+      },
+    };
+  }
+  return car;
+};
+
+/**
+ * Resolve the dataset for a seed operation
+ * Options:
+ * - cars: custom fixture array (defaults to the built-in catalog)
+ * - brand: only use entries for this brand
+ */
+const selectSeedCars = ({ cars = comprehensiveCars, brand } = {}) => {
+  const brandKey = brand ? String(brand).trim().toUpperCase() : null;
+  const entries = cars
+    .map(normalizeSeedCar)
+    .filter((car) => !brandKey || String(car.brand || '').trim().toUpperCase() === brandKey);
+
+  return {
+    entries,
+    brandKey,
+    version: catalogVersionOf(cars),
+    filter: brandKey ? { brand: brandKey } : {},
+  };
+};
+
+/**
+ * Record a seed operation for /api/seed/status
+ */
+const recordSeedRun = (run, session) => SeedRun.create([run], { session });
+
 /**
  * Seed cars into database
- * Only inserts if collection is empty (prevents duplicates)
+ * Only inserts if collection (or the selected brand) is empty (prevents duplicates)
  */
-export const seedCars = async () => {
+export const seedCars = async ({ cars, brand, source = 'builtin', triggeredBy } = {}) => {
+  const { entries, brandKey, version, filter } = selectSeedCars({ cars, brand });
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const count = await Car.countDocuments();
+    const count = await Car.countDocuments(filter);
     if (count > 0) {
       await session.commitTransaction();
       session.endSession();
-      return { skipped: true, count, message: 'Database already has cars. Use force flag to re-seed.' };
-    }
-
-    // Transform data to match schema (handle legacy price format)
-    const carsToInsert = comprehensiveCars.map((car) => {
-      // If price is a number, convert to price object
-      if (typeof car.price === 'number') {
+      if (brandKey) {
         return {
-          ...car,
-          price: {
-            min: car.price,
-            max: car.price,
-            currency: 'INR',
-          },
+          skipped: true,
+          brand: brandKey,
+          count,
+          message: `${brandKey} already has ${count} cars - left unchanged. Use force flag to re-seed this brand.`,
         };
       }
-      return car;
-    });
+      return { skipped: true, count, message: 'Database already has cars. Use force flag to re-seed.' };
+    }
 
-    const inserted = await Car.insertMany(carsToInsert, { session });
+    const inserted = await Car.insertMany(entries, { session });
+    await recordSeedRun({
+      mode: 'seed',
+      brand: brandKey,
+      source,
+      catalogVersion: version,
+      inserted: inserted.length,
+      triggeredBy,
+    }, session);
     await session.commitTransaction();
     session.endSession();
     
@@ -1180,37 +1250,33 @@ export const seedCars = async () => {
 };
 
 /**
- * Force seed - clears existing data and re-seeds
+ * Force seed - clears existing data (or one brand's data) and re-seeds
  * Use with caution in production!
  */
-export const forceSeedCars = async () => {
+export const forceSeedCars = async ({ cars, brand, source = 'builtin', triggeredBy, mode = 'force' } = {}) => {
+  const { entries, brandKey, version, filter } = selectSeedCars({ cars, brand });
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     // Clear existing cars
-    await Car.deleteMany({}, { session });
-    
-    // Transform and insert
-    const carsToInsert = comprehensiveCars.map((car) => {
-      if (typeof car.price === 'number') {
-        return {
-          ...car,
-          price: {
-            min: car.price,
-            max: car.price,
-            currency: 'INR',
-          },
-        };
-      }
-      return car;
-    });
+    const { deletedCount } = await Car.deleteMany(filter, { session });
 
-    const inserted = await Car.insertMany(carsToInsert, { session });
+    const inserted = await Car.insertMany(entries, { session });
+    await recordSeedRun({
+      mode,
+      brand: brandKey,
+      source,
+      catalogVersion: version,
+      inserted: inserted.length,
+      deleted: deletedCount,
+      triggeredBy,
+    }, session);
     await session.commitTransaction();
     session.endSession();
     
     return { 
       inserted: inserted.length,
+      deleted: deletedCount,
       message: `Force seeded ${inserted.length} cars`,
       brands: [...new Set(inserted.map(c => c.brand))],
     };
@@ -1221,4 +1287,188 @@ export const forceSeedCars = async () => {
   }
 };
 
+/**
+ * Reseed a single brand - replaces that brand's cars with the seed entries
+ * Other brands are left untouched
+ */
+export const reseedBrand = async (brand, options = {}) => {
+  const { entries, brandKey } = selectSeedCars({ cars: options.cars, brand });
+  if (!brandKey || !entries.length) {
+    return { notFound: true, brand: brandKey, message: `No seed data for brand ${brandKey}` };
+  }
 
+  const result = await forceSeedCars({ ...options, brand: brandKey, mode: 'brand' });
+  return {
+    ...result,
+    brand: brandKey,
+    message: `Reseeded ${result.inserted} ${brandKey} cars`,
+  };
+};
+
+/**
+ * Natural key for a car - brand + model is stable across reseeds, unlike _id
+ */
+const carKey = (car) =>
+  `${String(car.brand || '').trim().toUpperCase()}::${String(car.model || '').trim().toLowerCase()}`;
+
+/**
+ * Reuse stored variant _ids (matched by name) so unchanged variants are not
+ * reported as updates and variant references stay valid across syncs
+ */
+const withExistingVariantIds = (seedCar, doc) => {
+  if (!Array.isArray(seedCar.variants) || !doc.variants?.length) return seedCar;
+  const idsByName = new Map(doc.variants.map((v) => [v.name, v._id]));
+  return {
+    ...seedCar,
+    variants: seedCar.variants.map((v) =>
+      v._id || !idsByName.has(v.name) ? v : { ...v, _id: idsByName.get(v.name) }
+    ),
+  };
+};
+
+/**
+ * Sync seed data into the database (idempotent upsert by brand + model)
+ * - Inserts seed cars missing from the database
+ * - Updates existing cars whose fields differ from the seed
+ * - Reports cars in the database that are not in the seed as orphaned,
+ *   and deletes them when `prune` is true
+ * With `brand`, both sides are restricted to that brand.
+ */
+export const syncCars = async ({ cars, brand, prune = false, source = 'builtin', triggeredBy } = {}) => {
+  const { entries, brandKey, version, filter } = selectSeedCars({ cars, brand });
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const existing = await Car.find(filter).session(session);
+    const existingByKey = new Map();
+    const duplicates = [];
+    existing.forEach((doc) => {
+      const key = carKey(doc);
+      if (existingByKey.has(key)) {
+        duplicates.push({ id: doc._id, brand: doc.brand, model: doc.model });
+      } else {
+        existingByKey.set(key, doc);
+      }
+    });
+
+    const seedKeys = new Set();
+    const toInsert = [];
+    const updated = [];
+    let unchanged = 0;
+
+    for (const entry of entries) {
+      const key = carKey(entry);
+      if (seedKeys.has(key)) continue; // First seed entry wins for duplicate keys
+      seedKeys.add(key);
+
+      const doc = existingByKey.get(key);
+      if (!doc) {
+        toInsert.push(entry);
+        continue;
+      }
+
+      doc.set(withExistingVariantIds(entry, doc));
+      await doc.validate(); // Apply derived fields (variant price range) before diffing
+      if (doc.isModified()) {
+        updated.push({ id: doc._id, brand: doc.brand, model: doc.model, fields: doc.modifiedPaths() });
+        await doc.save({ session });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const orphaned = [...existingByKey.entries()]
+      .filter(([key]) => !seedKeys.has(key))
+      .map(([, doc]) => ({ id: doc._id, brand: doc.brand, model: doc.model }));
+
+    const inserted = toInsert.length ? await Car.insertMany(toInsert, { session }) : [];
+
+    let deleted = 0;
+    if (prune && orphaned.length) {
+      const result = await Car.deleteMany({ _id: { $in: orphaned.map((o) => o.id) } }, { session });
+      deleted = result.deletedCount;
+    }
+
+    await recordSeedRun({
+      mode: 'sync',
+      brand: brandKey,
+      source,
+      catalogVersion: version,
+      inserted: inserted.length,
+      updated: updated.length,
+      deleted,
+      triggeredBy,
+    }, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      inserted: inserted.length,
+      updated: updated.length,
+      unchanged,
+      orphaned: orphaned.length,
+      deleted,
+      details: {
+        inserted: inserted.map((c) => ({ id: c._id, brand: c.brand, model: c.model })),
+        updated,
+        orphaned,
+        duplicates,
+      },
+      message: `Synced catalog: ${inserted.length} inserted, ${updated.length} updated, ${unchanged} unchanged, ${orphaned.length} orphaned${prune ? ` (${deleted} removed)` : ''}`,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+/**
+ * Validate seed entries against the Car schema without touching the database
+ * Returns a report of invalid records and duplicate brand + model keys
+ */
+export const validateSeedCars = async ({ cars, brand } = {}) => {
+  const { entries, brandKey, version } = selectSeedCars({ cars, brand });
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  for (const [index, entry] of entries.entries()) {
+    const key = carKey(entry);
+    if (seen.has(key)) {
+      duplicates.push({ index, duplicateOf: seen.get(key), brand: entry.brand, model: entry.model });
+    } else {
+      seen.set(key, index);
+    }
+
+    try {
+      await new Car(entry).validate();
+    } catch (error) {
+      invalid.push({
+        index,
+        brand: entry.brand,
+        model: entry.model,
+        errors: formatValidationErrors(error) || { _: error.message },
+      });
+    }
+  }
+
+  return {
+    catalogVersion: version,
+    brand: brandKey,
+    total: entries.length,
+    valid: entries.length - invalid.length,
+    invalid,
+    duplicates,
+    brands: [...new Set(entries.map((c) => String(c.brand || '').trim().toUpperCase()))].sort(),
+  };
+};
+
+/**
+ * Seed catalog summary (used by status reporting)
+ */
+export const getSeedCatalogInfo = () => ({
+  version: CATALOG_VERSION,
+  totalCars: comprehensiveCars.length,
+  brands: [...new Set(comprehensiveCars.map((c) => c.brand))].sort(),
+});
@@ -8,6 +8,8 @@ import reviewRoutes from './routes/reviews.js';
 import favoriteRoutes from './routes/favorites.js';
 import { ensureSeedData } from './seed/seedMiddleware.js';
 import seedRoutes from './routes/seed.js';
+import currencyRoutes from './routes/currencies.js';
+import compareRoutes from './routes/compare.js';
 
 dotenv.config();
 
@@ -76,6 +78,8 @@ app.use('/api/cars', checkDBConnection, carRoutes);
 app.use('/api/reviews', checkDBConnection, reviewRoutes);
 app.use('/api/favorites', checkDBConnection, favoriteRoutes);
 app.use('/api/seed', checkDBConnection, seedRoutes);
+app.use('/api/currencies', checkDBConnection, currencyRoutes);
+app.use('/api/compare', checkDBConnection, compareRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
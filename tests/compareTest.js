@@ -20,6 +20,322 @@ const getJson = async (url, options = {}) => {
   return res.json();
 };
 
+/**
+ * Send a request and assert its status - returns the raw response
+ * options.token: bearer token; options.body: JSON body
+ */
+const expectStatus = async (status, url, { token, body, headers, ...options } = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  });
+  assert.strictEqual(res.status, status, `${options.method || 'GET'} ${url} returned ${res.status}, expected ${status}`);
+  return res;
+};
+
+const compare = (body) => getJson(`${BASE_URL}/api/cars/compare`, {
+  method: 'POST',
+  body: JSON.stringify(body),
+});
+
+const rowFor = (result, key) => result.comparison.find((row) => row.key === key);
+
+/**
+ * Register a throwaway user - returns { token, user }
+ */
+const registerUser = (label) => {
+  const suffix = `${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
+  return getJson(`${BASE_URL}/api/auth/register`, {
+    method: 'POST',
+    body: JSON.stringify({
+      username: `${label}_${suffix}`,
+      email: `${label}_${suffix}@compare-test.local`,
+      password: 'compare-test-password',
+    }),
+  });
+};
+
+/**
+ * Per-row winners and ties, and weighted scores (user-021)
+ */
+const testWinnersAndScores = async (cars) => {
+  // The same car twice ties on every row
+  const [car] = cars;
+  const tied = await compare({ ids: [car._id, car._id] });
+  tied.comparison.filter((row) => row.better).forEach((row) => {
+    assert.deepStrictEqual(row.winners, [], `${row.key} has no winner when every value is equal`);
+  });
+  assert.deepStrictEqual(tied.scores.cars.map((c) => c.rank), [1, 1], 'tied cars share rank 1');
+  console.log('✅ Identical cars tie on every row');
+
+  // Winners hold the best applicable amount, and isWinner mirrors winners
+  const [a, b] = cars.filter((c, index) => cars.findIndex((o) => o.price?.min === c.price?.min) === index);
+  assert(a && b, 'Need 2 cars with different prices to test winners');
+  const result = await compare({ ids: [a._id, b._id] });
+  result.comparison.filter((row) => row.better).forEach((row) => {
+    const amounts = new Set(row.winners.map((index) => row.values[index].amount));
+    assert(amounts.size <= 1, `${row.key} winners share one amount`);
+    if (row.winners.length) {
+      row.values.forEach((v, index) => {
+        assert.strictEqual(v.isWinner, row.winners.includes(index), `${row.key} isWinner matches winners`);
+      });
+    }
+  });
+
+  const price = rowFor(result, 'price');
+  const cheaper = price.values[0].amount < price.values[1].amount ? 0 : 1;
+  assert.deepStrictEqual(price.winners, [cheaper], 'cheaper car wins the price row');
+  console.log('✅ Rows mark their winners');
+
+  // Missing weights default to 1; price-only weights rank on price alone
+  const weighted = await compare({ ids: [a._id, b._id], weights: { price: 1, performance: 0, efficiency: 0, safety: 0 } });
+  weighted.scores.cars.forEach((c) => {
+    assert.strictEqual(c.overall, c.categories.price, 'overall equals the only weighted category');
+  });
+  assert.strictEqual(weighted.scores.cars[cheaper].rank, 1, 'cheaper car ranks first on price');
+
+  const defaults = await compare({ ids: [a._id, b._id], weights: { price: 2 } });
+  assert.deepStrictEqual(defaults.scores.weights, { performance: 1, efficiency: 1, safety: 1, price: 2 });
+
+  await expectStatus(400, `${BASE_URL}/api/cars/compare`, {
+    method: 'POST',
+    body: { ids: [a._id, b._id], weights: { price: -1 } },
+  });
+  console.log('✅ Weighted scores follow the weights');
+
+  // Mileage does not apply to EVs and range only applies to EVs, so a missing
+  // value there neither wins nor counts against the car
+  const { data: [ev] = [] } = await getJson(`${BASE_URL}/api/cars?fuelType=EV&limit=1`);
+  const { data: [fuelCar] = [] } = await getJson(`${BASE_URL}/api/cars?fuelType!=EV&limit=1`);
+  if (!ev || !fuelCar) {
+    console.log('⚠️  Skipping EV scoring check - needs an EV and a fuel car');
+    return;
+  }
+  const mixed = await compare({ ids: [ev._id, fuelCar._id], weights: { efficiency: 1, performance: 0, safety: 0, price: 0 } });
+  assert.deepStrictEqual(rowFor(mixed, 'range').winners, [], 'range has a single applicable car');
+  assert.deepStrictEqual(rowFor(mixed, 'mileage').winners, [], 'mileage has a single applicable car');
+  mixed.scores.cars.forEach((c) => {
+    assert.strictEqual(c.categories.efficiency, 100, 'each car is scored only on the rows that apply to it');
+  });
+  console.log('✅ Rows that do not apply are left out of scoring');
+};
+
+/**
+ * Saved, shared and deleted comparisons with owner vs non-owner access (user-022)
+ */
+const testSavedComparisons = async (cars) => {
+  const [a, b] = cars;
+  const owner = await registerUser('owner');
+  const other = await registerUser('other');
+  const compareUrl = `${BASE_URL}/api/compare`;
+
+  const saveRes = await expectStatus(201, compareUrl, {
+    method: 'POST',
+    token: owner.token,
+    body: { ids: [a._id, b._id], title: 'Compare test', weights: { price: 2 } },
+  });
+  const saved = await saveRes.json();
+  assert(saved.slug, 'saved comparison has a slug');
+  assert.strictEqual(saved.title, 'Compare test');
+  assert.strictEqual(saved.cars.length, 2);
+
+  // Anyone with the slug can open it, rebuilt with the saved weights
+  const shared = await getJson(`${compareUrl}/${saved.slug}`);
+  assert.deepStrictEqual(shared.cars.map((c) => c._id), [a._id, b._id], 'shared comparison keeps the car order');
+  assert.strictEqual(shared.scores.weights.price, 2, 'shared comparison keeps the weights');
+  console.log('✅ Saved comparison opens by slug');
+
+  // Only the owner lists it
+  const ownList = await (await expectStatus(200, compareUrl, { token: owner.token })).json();
+  assert(ownList.some((c) => c.slug === saved.slug), 'owner lists the comparison');
+  const otherList = await (await expectStatus(200, compareUrl, { token: other.token })).json();
+  assert(!otherList.some((c) => c.slug === saved.slug), 'other users do not list it');
+  await expectStatus(401, compareUrl);
+
+  // Only the owner deletes it
+  await expectStatus(401, `${compareUrl}/${saved.slug}`, { method: 'DELETE' });
+  await expectStatus(403, `${compareUrl}/${saved.slug}`, { method: 'DELETE', token: other.token });
+  await expectStatus(200, `${compareUrl}/${saved.slug}`, { method: 'DELETE', token: owner.token });
+  await expectStatus(404, `${compareUrl}/${saved.slug}`);
+  console.log('✅ Only the owner lists and deletes a comparison');
+
+  // Anonymous comparisons can be shared but belong to nobody
+  const anonymous = await (await expectStatus(201, compareUrl, {
+    method: 'POST',
+    body: { ids: [a._id, b._id] },
+  })).json();
+  await expectStatus(200, `${compareUrl}/${anonymous.slug}`);
+  await expectStatus(403, `${compareUrl}/${anonymous.slug}`, { method: 'DELETE', token: owner.token });
+
+  // Invalid requests are rejected before anything is saved
+  await expectStatus(400, compareUrl, { method: 'POST', body: { ids: [a._id] } });
+  await expectStatus(400, compareUrl, { method: 'POST', body: { ids: [a._id, b._id], title: 42 } });
+  await expectStatus(400, compareUrl, {
+    method: 'POST',
+    body: { ids: [{ id: a._id, variant: { $ne: null } }, b._id] },
+  });
+  await expectStatus(404, `${compareUrl}/no-such-slug`);
+  console.log('✅ Anonymous and invalid comparisons handled');
+};
+
+/**
+ * CSV and PDF exports (user-023)
+ */
+const testExports = async (cars) => {
+  const [a, b] = cars;
+  const compareUrl = `${BASE_URL}/api/cars/compare`;
+  const body = { ids: [a._id, b._id] };
+
+  const csvRes = await expectStatus(200, `${compareUrl}?format=csv`, { method: 'POST', body });
+  assert(csvRes.headers.get('content-type').startsWith('text/csv'), 'CSV content type');
+  assert(/attachment; filename="?[^"]+\.csv"?/.test(csvRes.headers.get('content-disposition')), 'CSV is a download');
+  // Read raw bytes - text() would drop the BOM
+  const csv = Buffer.from(await csvRes.arrayBuffer());
+  assert(csv.subarray(0, 3).equals(Buffer.from([0xef, 0xbb, 0xbf])), 'CSV starts with a BOM');
+  const lines = csv.subarray(3).toString('utf8').trimEnd().split('\r\n');
+  assert(lines[0].startsWith('Spec,'), 'CSV header row starts with Spec');
+  assert(lines[0].endsWith(',Best'), 'CSV header row ends with Best');
+  assert(lines.some((line) => line.startsWith('Overall score,')), 'CSV includes the overall score');
+  console.log('✅ Comparison exports as CSV');
+
+  const pdfRes = await expectStatus(200, compareUrl, {
+    method: 'POST',
+    body,
+    headers: { Accept: 'application/pdf' },
+  });
+  assert.strictEqual(pdfRes.headers.get('content-type'), 'application/pdf');
+  const pdf = Buffer.from(await pdfRes.arrayBuffer()).toString('latin1');
+  assert(pdf.startsWith('%PDF-1.4'), 'PDF header');
+  assert(pdf.trimEnd().endsWith('%%EOF'), 'PDF trailer');
+  console.log('✅ Comparison exports as PDF');
+
+  await expectStatus(400, `${compareUrl}?format=xml`, { method: 'POST', body });
+
+  // Saved comparisons export the same way
+  const saved = await (await expectStatus(201, `${BASE_URL}/api/compare`, { method: 'POST', body })).json();
+  const savedCsv = await expectStatus(200, `${BASE_URL}/api/compare/${saved.slug}?format=csv`);
+  assert(savedCsv.headers.get('content-disposition').includes(`comparison-${saved.slug}.csv`), 'saved CSV is named by slug');
+  console.log('✅ Saved comparisons export too');
+};
+
+/**
+ * Feature matrix, pros/cons and review ratings (user-024)
+ */
+const testFeaturesAndRatings = async (cars) => {
+  const [a, b] = cars;
+
+  // Leave a review so at least one car has a rating
+  const reviewer = await registerUser('reviewer');
+  await expectStatus(201, `${BASE_URL}/api/reviews/${a._id}`, {
+    method: 'POST',
+    token: reviewer.token,
+    body: { rating: 4, comment: 'Compare test review' },
+  });
+  const { averageRating, totalReviews } = await getJson(`${BASE_URL}/api/reviews/${a._id}`);
+
+  const requested = 'Compare Test Feature';
+  const result = await compare({ ids: [a._id, b._id], features: [requested] });
+
+  const rating = rowFor(result, 'rating');
+  assert.strictEqual(rating.section, 'ratings');
+  assert(Math.abs(rating.values[0].value - averageRating) < 0.051, 'average rating matches the reviews');
+  assert.strictEqual(rowFor(result, 'reviewCount').values[0].value, totalReviews, 'review count matches the reviews');
+  console.log('✅ Ratings rows come from the Review collection');
+
+  // Requested features come first, then every key feature of the compared cars
+  const featureRows = result.comparison.filter((row) => row.section === 'features');
+  assert.strictEqual(featureRows[0].key, `feature.${requested}`, 'requested features come first');
+  assert.deepStrictEqual(featureRows[0].values.map((v) => v.value), [false, false], 'unknown feature is absent');
+  [a, b].forEach((car, index) => {
+    (car.keyFeatures || []).forEach((feature) => {
+      const row = featureRows.find((r) => r.label.toLowerCase() === feature.trim().toLowerCase());
+      assert(row, `${feature} has a feature row`);
+      assert.strictEqual(row.values[index].value, true, `${car.title} has ${feature}`);
+    });
+  });
+  featureRows.forEach((row) => {
+    row.values.forEach((v) => assert.strictEqual(typeof v.value, 'boolean', `${row.key} is yes/no`));
+  });
+  console.log('✅ Feature matrix marks each car\'s features');
+
+  assert.deepStrictEqual(rowFor(result, 'pros').values.map((v) => v.value), [a.pros || [], b.pros || []]);
+  assert.deepStrictEqual(rowFor(result, 'cons').values.map((v) => v.value), [a.cons || [], b.cons || []]);
+  console.log('✅ Pros and cons sit side by side');
+
+  await expectStatus(400, `${BASE_URL}/api/cars/compare`, {
+    method: 'POST',
+    body: { ids: [a._id, b._id], features: 'Sunroof' },
+  });
+  await expectStatus(400, `${BASE_URL}/api/cars/compare`, {
+    method: 'POST',
+    body: { ids: [a._id, b._id], features: Array.from({ length: 21 }, (_, i) => `Feature ${i}`) },
+  });
+  console.log('✅ Invalid feature lists rejected');
+};
+
+/**
+ * Up to 8 cars, templates and the head-to-head summary (user-025)
+ */
+const testTemplatesAndHeadToHead = async (cars) => {
+  // The same car may repeat, so 8 ids work with a small catalog
+  const eight = Array.from({ length: 8 }, (_, i) => cars[i % cars.length]._id);
+  const large = await compare({ ids: eight });
+  assert.strictEqual(large.cars.length, 8);
+  large.comparison.forEach((row) => assert.strictEqual(row.values.length, 8, `${row.key} has 8 values`));
+  assert.strictEqual(large.headToHead.length, 28, 'one head-to-head entry per pair');
+  await expectStatus(400, `${BASE_URL}/api/cars/compare`, {
+    method: 'POST',
+    body: { ids: [...eight, cars[0]._id] },
+  });
+  console.log('✅ Compares up to 8 cars and rejects 9');
+
+  // Head-to-head counts each pair's wins over the contested rows
+  const [a, b] = cars;
+  const result = await compare({ ids: [a._id, b._id] });
+  assert.strictEqual(result.template, 'full');
+  const [pair] = result.headToHead;
+  const contested = result.comparison.filter((row) => row.better).length;
+  assert.deepStrictEqual(pair.cars, [0, 1]);
+  assert.deepStrictEqual(pair.wins, [pair.rows[0].length, pair.rows[1].length]);
+  assert(pair.wins[0] + pair.wins[1] + pair.ties <= contested, 'wins and ties come from contested rows');
+  const expectedLeader = pair.wins[0] === pair.wins[1] ? null : (pair.wins[0] > pair.wins[1] ? 0 : 1);
+  assert.strictEqual(pair.leader, expectedLeader);
+  console.log('✅ Head-to-head summary is consistent');
+
+  // Templates pick and order rows; scores still use every row
+  const { default: defaultTemplate, templates } = await getJson(`${BASE_URL}/api/compare/templates`);
+  assert.strictEqual(defaultTemplate, 'full');
+  const performance = templates.find((t) => t.name === 'performance');
+  assert(performance, 'performance template is listed');
+
+  const shaped = await compare({ ids: [a._id, b._id], template: 'performance' });
+  assert.strictEqual(shaped.template, 'performance');
+  const keys = shaped.comparison.map((row) => row.key);
+  assert.deepStrictEqual(keys, performance.rows.filter((key) => keys.includes(key)), 'rows follow the template order');
+  assert(!keys.includes('pros'), 'rows outside the template are left out');
+  assert.deepStrictEqual(shaped.scores, result.scores, 'scores do not depend on the template');
+
+  await expectStatus(400, `${BASE_URL}/api/cars/compare`, {
+    method: 'POST',
+    body: { ids: [a._id, b._id], template: 'no-such-template' },
+  });
+
+  // Saved comparisons keep their template, and ?template= overrides it
+  const saved = await (await expectStatus(201, `${BASE_URL}/api/compare`, {
+    method: 'POST',
+    body: { ids: [a._id, b._id], template: 'ev' },
+  })).json();
+  assert.strictEqual((await getJson(`${BASE_URL}/api/compare/${saved.slug}`)).template, 'ev');
+  assert.strictEqual((await getJson(`${BASE_URL}/api/compare/${saved.slug}?template=family`)).template, 'family');
+  await expectStatus(400, `${BASE_URL}/api/compare/${saved.slug}?template=no-such-template`);
+  console.log('✅ Templates select and order rows');
+};
+
 const run = async () => {
   console.log('Fetching sample cars...');
   const list = await getJson(`${BASE_URL}/api/cars?limit=4`);
@@ -51,14 +367,15 @@ const run = async () => {
   } catch (err) {
     console.log('✅ Invalid id correctly rejected');
   }
+
+  await testWinnersAndScores(cars);
+  await testSavedComparisons(cars);
+  await testExports(cars);
+  await testFeaturesAndRatings(cars);
+  await testTemplatesAndHeadToHead(cars);
 };
 
 run().catch((err) => {
   console.error('Compare test failed:', err.message);
   process.exit(1);
 });
-
-
-
-
-
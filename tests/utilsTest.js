@@ -0,0 +1,519 @@
+/* Checks for the pure helpers in utils/ - no server or database needed.
+   Usage: npm run test:utils
+*/
+
+import assert from 'assert';
+import mongoose from 'mongoose';
+import { highlightMatches } from '../utils/textHighlight.js';
+import { parsePriceInput, formatInrShort } from '../utils/price.js';
+import { createPdf } from '../utils/pdf.js';
+import { comparisonToCsv } from '../utils/comparisonExport.js';
+import { encodeCursor, decodeCursor, keysetCondition } from '../utils/cursorPagination.js';
+import { listCars, buildCarFilter, annotateMatchingVariants } from '../utils/carQuery.js';
+import { parseCompareRequest, buildComparison, scoreComparison } from '../utils/carComparison.js';
+import Car, { resolveVariant, findVariant } from '../models/Car.js';
+import { formatValidationErrors } from '../utils/validationErrors.js';
+import { editDistance, suggestCorrection } from '../utils/fuzzyMatch.js';
+import { invalidateSuggestIndex } from '../utils/suggestIndex.js';
+import { parseNaturalQuery } from '../utils/nlQuery.js';
+import {
+  calculateEmi,
+  maxPrincipalForEmi,
+  maxPriceForEmi,
+  amortisationSchedule,
+  loanSummary,
+  parseLoanParams,
+} from '../utils/loan.js';
+import { calculateTco, parseTcoParams } from '../utils/tco.js';
+import { resolveOnRoadRules, calculateOnRoadPrice, thirdPartyPremium } from '../utils/onRoadPrice.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('highlightMatches marks matching terms', () => {
+  const highlights = highlightMatches({ title: 'Tata Nexon EV', keyFeatures: ['Panoramic Sunroof'] }, 'nexon sunroofs');
+  assert.deepStrictEqual(highlights, [
+    { field: 'title', snippet: 'Tata <mark>Nexon</mark> EV' },
+    { field: 'keyFeatures', snippet: 'Panoramic <mark>Sunroof</mark>' },
+  ]);
+});
+
+check('highlightMatches escapes markup in car text', () => {
+  const [highlight] = highlightMatches({ title: 'Nexon <img src=x onerror=alert(1)> & "Co\'s"' }, 'nexon');
+  assert.strictEqual(
+    highlight.snippet,
+    '<mark>Nexon</mark> &lt;img src=x onerror=alert(1)&gt; &amp; &quot;Co&#39;s&quot;'
+  );
+
+  const [marked] = highlightMatches({ pros: ['<b>Nexon</b>'] }, 'nexon');
+  assert.strictEqual(marked.snippet, '&lt;b&gt;<mark>Nexon</mark>&lt;/b&gt;');
+});
+
+check('parsePriceInput reads raw INR and lakh/crore notation', () => {
+  assert.strictEqual(parsePriceInput('500000'), 500000);
+  assert.strictEqual(parsePriceInput('₹5,00,000'), 500000);
+  assert.strictEqual(parsePriceInput('5L'), 500000);
+  assert.strictEqual(parsePriceInput('5.99 lakh'), 599000);
+  assert.strictEqual(parsePriceInput('1.2cr'), 12000000);
+  assert.strictEqual(parsePriceInput('15k'), 15000);
+  assert.strictEqual(parsePriceInput(750000), 750000);
+  assert.strictEqual(parsePriceInput(''), null);
+  assert.strictEqual(parsePriceInput(undefined), null);
+});
+
+check('parsePriceInput rejects invalid and repeated values', () => {
+  assert(Number.isNaN(parsePriceInput('five lakh')));
+  assert(Number.isNaN(parsePriceInput('5 bn')));
+  assert(Number.isNaN(parsePriceInput(['1', '2'])));
+  assert(Number.isNaN(parsePriceInput({ $gt: 0 })));
+});
+
+check('formatInrShort picks the unit after rounding', () => {
+  assert.strictEqual(formatInrShort(99999), '₹99,999');
+  assert.strictEqual(formatInrShort(100000), '₹1 Lakh');
+  assert.strictEqual(formatInrShort(599000), '₹5.99 Lakh');
+  assert.strictEqual(formatInrShort(9994999), '₹99.95 Lakh');
+  assert.strictEqual(formatInrShort(9999999), '₹1 Crore');
+  assert.strictEqual(formatInrShort(12500000), '₹1.25 Crore');
+});
+
+check('createPdf encodes text as WinAnsi', () => {
+  const pdf = createPdf().addPage();
+  pdf.text('€12,345 – “₹” ✓', 36, 36);
+  const body = pdf.toBuffer().toString('latin1');
+  assert(body.includes('(\x8012,345 \x96 \x93Rs.\x94 ?) Tj'));
+});
+
+check('comparisonToCsv keeps formula-like cells as text', () => {
+  const csv = comparisonToCsv({
+    cars: [{ title: '=HYPERLINK("http://x")' }, { title: '@SUM(A1)' }],
+    comparison: [
+      { label: '+Turbo', values: [{ value: '-1' }, { value: '\tcmd' }] },
+      { label: 'Price', values: [{ value: '₹5,99,000' }, { value: 'A, B' }] },
+    ],
+    scores: null,
+  });
+  assert.deepStrictEqual(csv.replace('\uFEFF', '').trimEnd().split('\r\n'), [
+    'Spec,"\'=HYPERLINK(""http://x"")",\'@SUM(A1),Best',
+    '\'+Turbo,\'-1,\'\tcmd,',
+    'Price,"₹5,99,000","A, B",',
+  ]);
+});
+
+check('cursors round-trip numbers, dates and nested fields', () => {
+  const id = new mongoose.Types.ObjectId();
+  const numeric = decodeCursor(encodeCursor({ _id: id, price: { min: 599000 } }, {
+    sortKey: 'priceAsc',
+    field: 'price.min',
+    direction: 'next',
+  }));
+  assert.deepStrictEqual(numeric, { sortKey: 'priceAsc', direction: 'next', value: 599000, id });
+
+  const createdAt = new Date('2024-05-01T10:00:00Z');
+  const dated = decodeCursor(encodeCursor({ _id: id, createdAt }, {
+    sortKey: 'newest',
+    field: 'createdAt',
+    direction: 'prev',
+  }));
+  assert(dated.value instanceof Date);
+  assert.strictEqual(dated.value.toISOString(), createdAt.toISOString());
+  assert.strictEqual(dated.direction, 'prev');
+
+  const missing = decodeCursor(encodeCursor({ _id: id }, { sortKey: 'powerDesc', field: 'powerBHP', direction: 'next' }));
+  assert.strictEqual(missing.value, null);
+});
+
+check('decodeCursor rejects malformed cursors', () => {
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const id = new mongoose.Types.ObjectId().toString();
+  assert.strictEqual(decodeCursor('not a cursor'), null);
+  assert.strictEqual(decodeCursor(encode({ s: 'newest', d: 'sideways', v: 1, id })), null);
+  assert.strictEqual(decodeCursor(encode({ s: 'newest', d: 'next', v: 1, id: 'abc' })), null);
+  assert.strictEqual(decodeCursor(encode({ d: 'next', v: 1, id })), null);
+});
+
+check('keysetCondition orders by (field, _id) and places nulls like MongoDB', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.deepStrictEqual(keysetCondition({ field: 'powerBHP', order: 1, value: 100, id }), {
+    $or: [{ powerBHP: { $gt: 100 } }, { powerBHP: 100, _id: { $gt: id } }],
+  });
+  assert.deepStrictEqual(keysetCondition({ field: 'powerBHP', order: -1, value: 100, id }), {
+    $or: [{ powerBHP: { $lt: 100 } }, { powerBHP: 100, _id: { $lt: id } }, { powerBHP: null }],
+  });
+  assert.deepStrictEqual(keysetCondition({ field: 'powerBHP', order: 1, value: null, id }), {
+    $or: [{ powerBHP: null, _id: { $gt: id } }, { powerBHP: { $ne: null } }],
+  });
+  assert.deepStrictEqual(keysetCondition({ field: 'powerBHP', order: -1, value: null, id }), {
+    powerBHP: null,
+    _id: { $lt: id },
+  });
+});
+
+check('cursor pagination rejects text searches in relevance order', async () => {
+  const message = 'Cursor pagination does not support relevance order - pass a sort (e.g. sort=newest) with q';
+  assert.strictEqual((await listCars({ q: 'nexon', paginate: 'cursor' })).error, message);
+  assert.strictEqual((await listCars({ q: 'nexon', paginate: 'cursor', sort: 'relevance' })).error, message);
+});
+
+const VARIANT_CAR = {
+  title: 'Swift',
+  brand: 'MARUTI',
+  model: 'Swift',
+  bodyType: 'Hatchback',
+  fuelType: 'Petrol',
+  transmission: 'Manual',
+  powerBHP: 88,
+  variants: [{ name: 'LXi', price: 600000 }, { name: 'ZXi AMT', price: 800000, transmission: 'AMT' }],
+};
+
+check('variants inherit car fields when read, not when saved', async () => {
+  const car = new Car(VARIANT_CAR);
+  await car.validate();
+  assert.deepStrictEqual([car.price.min, car.price.max], [600000, 800000]);
+  assert.deepStrictEqual(car.variants.map((v) => v.powerBHP), [undefined, undefined]);
+
+  // A later change to the car reaches the variants that leave the field out
+  car.powerBHP = 110;
+  await car.validate();
+  const [base, top] = car.toObject().variants;
+  assert.strictEqual(resolveVariant(car, base).powerBHP, 110);
+  assert.strictEqual(resolveVariant(car, top).transmission, 'AMT');
+});
+
+check('findVariant looks variants up by id or name', () => {
+  const car = new Car(VARIANT_CAR).toObject();
+  const [base, top] = car.variants;
+  assert.strictEqual(findVariant(car, top._id.toString()).name, 'ZXi AMT');
+  assert.strictEqual(findVariant(car, ' lxi ')._id, base._id);
+  assert.strictEqual(findVariant(car, 'VXi'), null);
+  assert.strictEqual(findVariant({}, 'LXi'), null);
+});
+
+check('variant filters match inherited fields', () => {
+  const { query, variantFilter } = buildCarFilter({ fuelType: 'Petrol', transmission: 'AMT' });
+  assert.deepStrictEqual(query.$or, [
+    { fuelType: 'Petrol', transmission: 'AMT' },
+    { variants: { $elemMatch: { fuelType: 'Petrol', transmission: 'AMT' } } },
+    { fuelType: 'Petrol', variants: { $elemMatch: { fuelType: null, transmission: 'AMT' } } },
+    { transmission: 'AMT', variants: { $elemMatch: { fuelType: 'Petrol', transmission: null } } },
+    { fuelType: 'Petrol', transmission: 'AMT', variants: { $elemMatch: { fuelType: null, transmission: null } } },
+  ]);
+
+  const [annotated] = annotateMatchingVariants([{ ...VARIANT_CAR, powerBHP: 110 }], variantFilter);
+  assert.deepStrictEqual(annotated.matchingVariants.map((v) => [v.name, v.fuelType, v.powerBHP]), [['ZXi AMT', 'Petrol', 110]]);
+});
+
+check('editDistance counts edits and adjacent transpositions', () => {
+  assert.strictEqual(editDistance('nexon', 'nexon'), 0);
+  assert.strictEqual(editDistance('lamborgini', 'lamborghini'), 1);
+  assert.strictEqual(editDistance('hyudnai', 'hyundai'), 1);
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+  assert.strictEqual(editDistance('', 'audi'), 4);
+  // Stops early past the budget
+  assert.strictEqual(editDistance('fortuner', 'creta', 2), 3);
+});
+
+check('suggestCorrection fixes typos against the catalog vocabulary', async () => {
+  const find = Car.find;
+  Car.find = () => ({
+    lean: async () => [
+      { title: 'Lamborghini Huracan', brand: 'Lamborghini', model: 'Huracan', tags: ['supercar'] },
+      { title: 'Hyundai Creta', brand: 'Hyundai', model: 'Creta', tags: ['suv'] },
+    ],
+  });
+  invalidateSuggestIndex();
+
+  try {
+    assert.strictEqual(await suggestCorrection('lamborgini huracan'), 'lamborghini huracan');
+    assert.strictEqual(await suggestCorrection('Hyudnai Creta'), 'hyundai creta');
+    // Known words, and short words with no typo budget, are left alone
+    assert.strictEqual(await suggestCorrection('hyundai creta'), null);
+    assert.strictEqual(await suggestCorrection('suw'), null);
+    assert.strictEqual(await suggestCorrection(''), null);
+  } finally {
+    Car.find = find;
+    invalidateSuggestIndex();
+  }
+});
+
+check('parseNaturalQuery maps free text onto listing filters', () => {
+  const { filters, remainingText } = parseNaturalQuery('petrol SUV under 10 lakh automatic 7 seater');
+  assert.deepStrictEqual(filters, {
+    minSeats: 7,
+    maxPrice: 1000000,
+    fuelType: 'Petrol',
+    transmission: 'Automatic,DCT,CVT,AMT',
+    bodyType: 'SUV',
+  });
+  assert.strictEqual(remainingText, '');
+});
+
+check('parseNaturalQuery reads price ranges and bounds', () => {
+  const prices = (text) => {
+    const { minPrice, maxPrice } = parseNaturalQuery(text).filters;
+    return { minPrice, maxPrice };
+  };
+  assert.deepStrictEqual(prices('between 8 and 12 lakh'), { minPrice: 800000, maxPrice: 1200000 });
+  assert.deepStrictEqual(prices('8-12 lakh sedan'), { minPrice: 800000, maxPrice: 1200000 });
+  assert.deepStrictEqual(prices('above 1.2 crore'), { minPrice: 12000000, maxPrice: undefined });
+  assert.deepStrictEqual(prices('around 10 lakh'), { minPrice: 900000, maxPrice: 1100000 });
+  assert.deepStrictEqual(prices('under 15l'), { minPrice: undefined, maxPrice: 1500000 });
+  assert.deepStrictEqual(prices('7 lakh hatchback'), { minPrice: undefined, maxPrice: 700000 });
+});
+
+check('parseNaturalQuery recognises catalog brands and nicknames', () => {
+  const brands = ['MERCEDES', 'TATA', 'VOLKSWAGEN'];
+  const { filters, remainingText } = parseNaturalQuery('merc or tata suv', { brands });
+  assert.strictEqual(filters.brand, 'TATA,MERCEDES');
+  assert.strictEqual(remainingText, '');
+  assert.strictEqual(parseNaturalQuery('vw polo', { brands }).filters.brand, 'VOLKSWAGEN');
+  // Nicknames only apply to brands in the catalog
+  assert.strictEqual(parseNaturalQuery('lambo', { brands }).filters.brand, undefined);
+});
+
+check('parseNaturalQuery reads "1.5l" as engine size, not a budget', () => {
+  const { filters, remainingText } = parseNaturalQuery('1.5l turbo petrol hatchback');
+  assert.deepStrictEqual(filters, {
+    minDisplacement: 1450,
+    maxDisplacement: 1549,
+    fuelType: 'Petrol',
+    bodyType: 'Hatchback',
+    turbo: 'true',
+  });
+  assert.strictEqual(remainingText, '');
+  assert.strictEqual(parseNaturalQuery('10k km warranty').filters.maxPrice, undefined);
+});
+
+check('calculateEmi matches the reducing-balance formula', () => {
+  assert.strictEqual(Math.round(calculateEmi(1000000, 9, 60)), 20758);
+  assert.strictEqual(calculateEmi(120000, 0, 12), 10000);
+  assert.strictEqual(calculateEmi(0, 9, 60), 0);
+});
+
+check('maxPrincipalForEmi and maxPriceForEmi invert the EMI', () => {
+  const emi = calculateEmi(1000000, 9, 60);
+  assert(Math.abs(maxPrincipalForEmi(emi, 9, 60) - 1000000) < 0.01);
+  assert.strictEqual(maxPrincipalForEmi(10000, 0, 12), 120000);
+
+  const terms = { downPayment: null, downPaymentPercent: null, interestRate: 0, tenureMonths: 12 };
+  assert.strictEqual(maxPriceForEmi(10000, terms), 120000);
+  assert.strictEqual(maxPriceForEmi(10000, { ...terms, downPayment: 50000 }), 170000);
+  assert.strictEqual(maxPriceForEmi(10000, { ...terms, downPaymentPercent: 20 }), 150000);
+  assert.strictEqual(maxPriceForEmi(10000, { ...terms, downPaymentPercent: 100 }), null);
+});
+
+check('amortisationSchedule repays the principal exactly', () => {
+  const schedule = amortisationSchedule(500000, 10, 36);
+  assert.strictEqual(schedule.length, 36);
+  assert.strictEqual(schedule[0].interest, round2(500000 * 0.1 / 12));
+  assert.strictEqual(schedule[35].balance, 0);
+  const repaid = schedule.reduce((sum, row) => sum + row.principal, 0);
+  assert(Math.abs(repaid - 500000) < 0.05);
+  schedule.forEach((row) => assert(Math.abs(row.principal + row.interest - row.emi) < 0.02));
+});
+
+check('loanSummary applies the down payment', () => {
+  const terms = { downPayment: null, downPaymentPercent: 20, interestRate: 0, tenureMonths: 10 };
+  assert.deepStrictEqual(loanSummary(1000000, terms), {
+    price: 1000000,
+    downPayment: 200000,
+    loanAmount: 800000,
+    emi: 80000,
+    totalInterest: 0,
+    totalPayable: 1000000,
+  });
+  // A down payment above the price pays for the whole car
+  const cash = loanSummary(500000, { ...terms, downPayment: 600000, downPaymentPercent: null }, { schedule: true });
+  assert.strictEqual(cash.loanAmount, 0);
+  assert.strictEqual(cash.emi, 0);
+  assert.deepStrictEqual(cash.schedule, []);
+});
+
+check('parseLoanParams reads defaults, lakh notation and rejects bad terms', () => {
+  assert.deepStrictEqual(parseLoanParams({}), {
+    downPayment: null,
+    downPaymentPercent: null,
+    interestRate: 9,
+    tenureMonths: 60,
+  });
+  assert.strictEqual(parseLoanParams({ downPayment: '1.5L' }).downPayment, 150000);
+  assert(parseLoanParams({ downPayment: '1L', downPaymentPercent: '10' }).error);
+  assert(parseLoanParams({ downPaymentPercent: '120' }).error);
+  assert(parseLoanParams({ interestRate: 'abc' }).error);
+  assert(parseLoanParams({ tenureMonths: '12.5' }).error);
+  assert(parseLoanParams({ downPayment: ['1', '2'] }).error);
+});
+
+// On-road charges as { key: amount }
+const onRoadCharges = (vehicle, state, city) => {
+  const { charges, total } = calculateOnRoadPrice(vehicle, resolveOnRoadRules(state, city).rules);
+  return { ...Object.fromEntries(charges.map(({ key, amount }) => [key, amount])), total };
+};
+
+check('resolveOnRoadRules finds states by code or name and merges city rules', () => {
+  assert.strictEqual(resolveOnRoadRules('ka').state.name, 'Karnataka');
+  assert.strictEqual(resolveOnRoadRules(' Maharashtra ').state.code, 'MH');
+  assert.strictEqual(resolveOnRoadRules('XX'), null);
+
+  const mumbai = resolveOnRoadRules('MH', 'mumbai');
+  assert.strictEqual(mumbai.cityRulesApplied, true);
+  assert.deepStrictEqual(mumbai.rules.surcharges.map((s) => s.key), ['municipalCess']);
+  const pune = resolveOnRoadRules('MH', 'Pune');
+  assert.strictEqual(pune.cityRulesApplied, false);
+  assert.deepStrictEqual(pune.rules.surcharges, []);
+});
+
+check('calculateOnRoadPrice applies Karnataka road tax bands and cess', () => {
+  const petrol = { fuelType: 'Petrol', displacement: 1197 };
+  assert.deepStrictEqual(onRoadCharges({ ...petrol, exShowroom: 800000 }, 'KA'), {
+    exShowroom: 800000,
+    roadTax: 112000, // 14% band up to 10 lakh
+    registration: 1000,
+    roadTaxCess: 12320, // 11% of road tax
+    insurance: 35568, // 3.28% of a 95% IDV plus the 1000-1500cc third-party premium
+    fastag: 500,
+    total: 961388,
+  });
+  // Bands tax the whole price at the band's rate, and TCS applies above 10 lakh
+  assert.strictEqual(onRoadCharges({ ...petrol, exShowroom: 500000 }, 'KA').roadTax, 65000);
+  const premium = onRoadCharges({ ...petrol, exShowroom: 1200000 }, 'KA');
+  assert.strictEqual(premium.roadTax, 204000);
+  assert.strictEqual(premium.tcs, 12000);
+});
+
+check('calculateOnRoadPrice exempts EVs only where the state does', () => {
+  const ev = { exShowroom: 1500000, fuelType: 'EV', displacement: 0, powerBHP: 143 };
+  const delhi = calculateOnRoadPrice(ev, resolveOnRoadRules('DL').rules).charges;
+  assert.deepStrictEqual(
+    delhi.filter((c) => ['roadTax', 'registration'].includes(c.key)).map((c) => [c.amount, c.note]),
+    [[0, 'EV exemption'], [0, 'EV exemption']]
+  );
+
+  const kerala = onRoadCharges(ev, 'KL');
+  assert.strictEqual(kerala.roadTax, 75000); // Kerala's flat 5% EV rate
+  assert.strictEqual(kerala.registration, 1000);
+  assert.strictEqual(kerala.tcs, 15000);
+  // EV third-party premium is banded by motor power (143 bhp = 107 kW)
+  assert.strictEqual(thirdPartyPremium(ev), 20907);
+});
+
+check('calculateOnRoadPrice adds the Mumbai municipal cess', () => {
+  const car = { exShowroom: 800000, fuelType: 'Petrol', displacement: 1197 };
+  const mumbai = onRoadCharges(car, 'MH', 'Mumbai');
+  assert.strictEqual(mumbai.roadTax, 88000);
+  assert.strictEqual(mumbai.registration, 1200);
+  assert.strictEqual(mumbai.municipalCess, 4000);
+  assert.strictEqual(onRoadCharges(car, 'MH', 'Pune').municipalCess, undefined);
+  assert.strictEqual(mumbai.total, onRoadCharges(car, 'MH').total + 4000);
+});
+
+check('parseTcoParams reads defaults and rejects bad assumptions', () => {
+  const defaults = parseTcoParams({});
+  assert.strictEqual(defaults.annualKm, 12000);
+  assert.strictEqual(defaults.years, 5);
+  assert.strictEqual(defaults.energyPrices.petrol, 102);
+
+  const custom = parseTcoParams({ annualKm: '15000', years: '3', dieselPrice: '95' });
+  assert.deepStrictEqual([custom.annualKm, custom.years, custom.energyPrices.diesel], [15000, 3, 95]);
+
+  assert(parseTcoParams({ years: '2.5' }).error);
+  assert(parseTcoParams({ years: '16' }).error);
+  assert(parseTcoParams({ annualKm: '0' }).error);
+  assert.strictEqual(parseTcoParams({ petrolPrice: '-1' }).error, 'petrolPrice must be a positive number');
+});
+
+const TCO_CAR = { price: 1000000, fuelType: 'Petrol', bodyType: 'SUV', mileage: 15, displacement: 1199, powerBHP: 118 };
+
+check('calculateTco adds up fuel, maintenance, insurance and depreciation', () => {
+  const tco = calculateTco(TCO_CAR, parseTcoParams({}));
+  // 12,000 km at 15 km/l and ₹102/l
+  assert(tco.perYear.every((row) => row.fuel === 81600));
+  assert.strictEqual(tco.perYear[0].depreciation, 200000);
+  assert.strictEqual(tco.perYear[0].maintenance, 12000);
+  assert.strictEqual(tco.perYear[1].maintenance, 12960);
+  assert.strictEqual(tco.total, Object.values(tco.costs).reduce((sum, cost) => sum + cost, 0));
+  // Yearly depreciation is rounded, so the residual value can be a rupee or so off
+  assert(Math.abs(tco.residualValue - (TCO_CAR.price - tco.costs.depreciation)) <= tco.perYear.length);
+  assert.strictEqual(tco.perKm, round2(tco.total / 60000));
+  assert.strictEqual(tco.complete, true);
+
+  const ev = calculateTco({ ...TCO_CAR, fuelType: 'EV', mileage: undefined }, parseTcoParams({}));
+  // 12,000 km at 0.17 kWh/km for an SUV and ₹8/kWh
+  assert.strictEqual(ev.costs.fuel, 5 * 16320);
+  assert.deepStrictEqual(ev.notes, ['EV energy use estimated from body type']);
+
+  assert.strictEqual(calculateTco({ ...TCO_CAR, price: undefined }, parseTcoParams({})), null);
+});
+
+check('calculateTco flags totals without a fuel cost as incomplete', () => {
+  const tco = calculateTco({ ...TCO_CAR, mileage: undefined }, parseTcoParams({}));
+  assert.strictEqual(tco.costs.fuel, 0);
+  assert.strictEqual(tco.complete, false);
+  assert.deepStrictEqual(tco.notes, ['Fuel cost excluded - mileage unknown']);
+});
+
+check('compare TCO row neither crowns nor scores a car with unknown mileage', () => {
+  const car = { price: { min: 1000000 }, fuelType: 'Petrol', bodyType: 'SUV', engine: { displacement: 1199 } };
+  const cars = [{ ...car, _id: 'known', mileage: 15 }, { ...car, _id: 'unknown' }];
+  const comparison = buildComparison(cars, { tco: parseTcoParams({}) });
+
+  const row = comparison.find((r) => r.key === 'tco');
+  assert.strictEqual(row.values[1].amount, null);
+  assert.strictEqual(row.values[1].incomplete, true);
+  assert.deepStrictEqual(row.values[1].notes, ['Fuel cost excluded - mileage unknown']);
+  assert.deepStrictEqual(row.winners, []);
+
+  // Efficiency comes from the mileage row alone, where the unknown value scores 0
+  const scores = scoreComparison(comparison, cars, { performance: 1, efficiency: 1, safety: 1, price: 1 });
+  assert.deepStrictEqual(scores.cars.map((c) => c.categories.efficiency), [100, 0]);
+});
+
+check('unknown car fields come back as field errors in throw mode', () => {
+  const fieldErrors = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return formatValidationErrors(error);
+    }
+    return null;
+  };
+
+  assert.deepStrictEqual(fieldErrors(() => new Car({ title: 'Test', powerBhp: 300 }, 'throw')), {
+    powerBhp: 'powerBhp is not a known field',
+  });
+  const car = new Car({ title: 'Test' });
+  assert.deepStrictEqual(fieldErrors(() => car.set({ 'price.minn': 1 }, undefined, { strict: 'throw' })), {
+    'price.minn': 'price.minn is not a known field',
+  });
+  assert.strictEqual(fieldErrors(() => car.set({ powerBHP: 300, 'price.min': 1 }, undefined, { strict: 'throw' })), null);
+});
+
+check('parseCompareRequest rejects non-string variants', () => {
+  const id = new mongoose.Types.ObjectId().toString();
+  const parsed = parseCompareRequest({ ids: [{ id, variant: 'ZX' }, { id, variant: null }] });
+  assert.deepStrictEqual(parsed.entries, [{ id, variant: 'ZX' }, { id, variant: null }]);
+
+  const invalid = parseCompareRequest({ ids: [{ id, variant: { $ne: null } }, { id, variant: 42 }] });
+  assert.strictEqual(invalid.error, 'Variants must be a variant id or name');
+  assert.deepStrictEqual(invalid.details.invalidVariants, [{ id, variant: { $ne: null } }, { id, variant: 42 }]);
+});
+
+const run = async () => {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${name}: ${err.message}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  if (failed) process.exit(1);
+};
+
+run();
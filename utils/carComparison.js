@@ -0,0 +1,521 @@
+import mongoose from 'mongoose';
+import Car, { findVariant } from '../models/Car.js';
+import Review from '../models/Review.js';
+import { BASE_CURRENCY, formatConvertedRange, withConvertedPrice } from './currency.js';
+import { withFormattedPrice } from './price.js';
+import { calculateTco, tcoVehicle, parseTcoParams } from './tco.js';
+import { COMPARISON_TEMPLATES, DEFAULT_TEMPLATE } from './comparisonTemplates.js';
+import { escapeRegex } from './regex.js';
+
+/**
+ * Side-by-side comparison for POST /api/cars/compare and saved comparisons
+ */
+
+export const MIN_COMPARE_CARS = 2;
+export const MAX_COMPARE_CARS = 8;
+const MAX_REQUESTED_FEATURES = 20;
+
+/**
+ * Apply a variant to a car for comparison - the variant's price and
+ * powertrain replace the model-level values
+ */
+export const applyVariant = (car, variant) => ({
+  ...car,
+  title: `${car.title} ${variant.name}`,
+  price: { ...car.price, min: variant.price, max: variant.price },
+  fuelType: variant.fuelType ?? car.fuelType,
+  transmission: variant.transmission ?? car.transmission,
+  powerBHP: variant.powerBHP ?? car.powerBHP,
+  mileage: variant.mileage ?? car.mileage,
+  variant: { _id: variant._id, name: variant.name },
+});
+
+/**
+ * Scoring categories for the overall score (POST /api/cars/compare `weights`)
+ */
+export const SCORE_CATEGORIES = ['performance', 'efficiency', 'safety', 'price'];
+
+/**
+ * Compared specs in display order
+ * better: which direction wins the row ('higher' or 'lower'); rows without it have no winner
+ * category: score category the row counts towards
+ * appliesTo: cars the row is meaningful for - mileage is km/L for fuel cars but km for EVs
+ */
+const SPEC_KEYS = [
+  { key: 'brand', label: 'Brand' },
+  { key: 'model', label: 'Model' },
+  { key: 'variant', label: 'Variant' },
+  { key: 'bodyType', label: 'Body Type' },
+  { key: 'fuelType', label: 'Fuel Type' },
+  { key: 'transmission', label: 'Transmission' },
+  { key: 'driveType', label: 'Drive Type' },
+  { key: 'powerBHP', label: 'Power (BHP)', better: 'higher', category: 'performance' },
+  { key: 'torqueNm', label: 'Torque (Nm)', better: 'higher', category: 'performance' },
+  { key: 'topSpeed', label: 'Top Speed (km/h)', better: 'higher', category: 'performance' },
+  { key: 'zeroToHundred', label: '0-100 km/h (s)', better: 'lower', category: 'performance' },
+  {
+    key: 'mileage',
+    label: 'Mileage (km/L)',
+    better: 'higher',
+    category: 'efficiency',
+    appliesTo: (car) => car.fuelType !== 'EV',
+  },
+  {
+    key: 'range',
+    label: 'Range (km)',
+    better: 'higher',
+    category: 'efficiency',
+    appliesTo: (car) => car.fuelType === 'EV',
+  },
+  { key: 'seatingCapacity', label: 'Seating Capacity', better: 'higher' },
+  { key: 'safetyRating', label: 'Safety Rating', better: 'higher', category: 'safety' },
+  { key: 'launchYear', label: 'Launch Year', better: 'higher' },
+  { key: 'engine.displacement', label: 'Engine (cc)' },
+  { key: 'engine.cylinders', label: 'Cylinders' },
+  { key: 'engine.turbo', label: 'Turbo' },
+  { key: 'price', label: 'Price', better: 'lower', category: 'price' },
+];
+
+/**
+ * Whether a row counts for cars[index] - rows can be limited to some cars
+ * (appliesTo), and an `incomplete` value (e.g. TCO without fuel cost) is left out
+ */
+const applies = (row, cars, index) => {
+  if (row.values[index]?.incomplete) return false;
+  const check = SPEC_KEYS.find((spec) => spec.key === row.key)?.appliesTo;
+  return !check || check(cars[index]);
+};
+
+/**
+ * Mark the best value(s) of a row - ties share the win, and rows where every
+ * applicable car has the same value have no winner
+ */
+const markWinners = (row, cars) => {
+  const candidates = row.values
+    .map((v, index) => ({ amount: v.amount, index }))
+    .filter(({ amount, index }) => typeof amount === 'number' && applies(row, cars, index));
+  const amounts = candidates.map(({ amount }) => amount);
+  if (candidates.length < 2 || Math.min(...amounts) === Math.max(...amounts)) {
+    return { ...row, winners: [] };
+  }
+
+  const best = row.better === 'lower' ? Math.min(...amounts) : Math.max(...amounts);
+  const winners = candidates.filter(({ amount }) => amount === best).map(({ index }) => index);
+  return {
+    ...row,
+    winners,
+    values: row.values.map((v, index) => ({ ...v, isWinner: winners.includes(index) })),
+  };
+};
+
+/**
+ * Whether a car lists a feature - whole-word and case-insensitive, so
+ * "Sunroof" matches "Panoramic Sunroof"
+ */
+const hasFeature = (car, feature) => {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(feature)}(?![\\p{L}\\p{N}])`, 'iu');
+  return (car.keyFeatures || []).some((f) => pattern.test(f));
+};
+
+/**
+ * Features to check - requested ones first, then every key feature of the compared cars
+ */
+const featureList = (cars, requested = []) => {
+  const seen = new Set();
+  return [...requested, ...cars.flatMap((car) => car.keyFeatures || [])]
+    .map((feature) => feature.trim())
+    .filter((feature) => {
+      const key = feature.toLowerCase();
+      if (!feature || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Row with one value per car from `valueFor(car)`
+ */
+const carRow = (cars, { key, label, section }, valueFor) => {
+  const values = cars.map((c) => ({
+    carId: c._id,
+    variantId: c.variant?._id ?? null,
+    value: valueFor(c),
+  }));
+  const base = JSON.stringify(values[0]?.value);
+  return { key, label, section, values, differs: values.some((v) => JSON.stringify(v.value) !== base) };
+};
+
+/**
+ * Build comparison matrix for multiple cars
+ * Returns aligned specifications for easy comparison; rows with a direction
+ * (`better`) list their `winners` (indexes into cars) and flag `isWinner` values
+ * Rows are grouped by `section`: specs, ratings, features (yes/no per key
+ * feature) and highlights (pros and cons)
+ * options.currency: display currency for the price rows
+ * options.tco: TCO assumptions (utils/tco.js) - adds a cost of ownership row
+ * options.ratings: Map of car id -> { average, count } from the Review collection
+ * options.features: features to check first (e.g. ['Sunroof', 'ADAS'])
+ */
+export const buildComparison = (cars, { currency, tco, ratings, features } = {}) => {
+  const converted = currency && currency.currency !== BASE_CURRENCY;
+
+  const aligned = SPEC_KEYS.map(({ key, label, better, category }) => {
+    const values = cars.map((c) => {
+      let value = null;
+      let amount;
+      
+      // Handle nested keys
+      if (key.includes('.')) {
+        const parts = key.split('.');
+        value = c[parts[0]]?.[parts[1]] ?? null;
+      } else if (key === 'price') {
+        // Format price range in the display currency, compare on the base price
+        value = formatConvertedRange(c.price, currency);
+        amount = c.price?.min ?? c.price?.max ?? null;
+      } else if (key === 'variant') {
+        value = c.variant?.name ?? null;
+      } else {
+        value = c[key] ?? null;
+      }
+      
+      return {
+        carId: c._id,
+        variantId: c.variant?._id ?? null,
+        value: value,
+        ...(better && { amount: amount !== undefined ? amount : value }),
+        ...(key === 'price' && converted && { original: formatConvertedRange(c.price) }),
+      };
+    });
+    
+    const base = values[0]?.value;
+    const differs = values.some((v) => String(v.value) !== String(base));
+    const rowLabel = key === 'price' ? `Price (${converted ? currency.currency : BASE_CURRENCY})` : label;
+    
+    return { key, label: rowLabel, section: 'specs', values, differs, ...(better && { better, category }) };
+  });
+
+  if (tco) {
+    const values = cars.map((c) => {
+      const result = calculateTco(tcoVehicle(c), tco);
+      return {
+        carId: c._id,
+        variantId: c.variant?._id ?? null,
+        value: result ? formatConvertedRange({ min: result.total, max: result.total }, currency) : null,
+        // A total without the fuel cost neither wins nor scores
+        amount: result?.complete ? result.total : null,
+        perKm: result?.perKm ?? null,
+        breakdown: result?.costs ?? null,
+        notes: result?.notes ?? [],
+        ...(result && !result.complete && { incomplete: true }),
+      };
+    });
+    aligned.push({
+      key: 'tco',
+      section: 'specs',
+      label: `Cost of Ownership (${tco.years} yrs, ${tco.annualKm.toLocaleString('en-IN')} km/yr)`,
+      values,
+      differs: values.some((v) => v.amount !== values[0].amount),
+      better: 'lower',
+      category: 'efficiency',
+    });
+  }
+
+  if (ratings) {
+    const ratingFor = (c) => ratings.get(c._id.toString());
+    const average = carRow(cars, { key: 'rating', label: 'Average Rating', section: 'ratings' }, (c) => ratingFor(c)?.average ?? null);
+    average.values = average.values.map((v) => ({ ...v, amount: v.value }));
+    aligned.push(
+      { ...average, better: 'higher' },
+      carRow(cars, { key: 'reviewCount', label: 'Reviews', section: 'ratings' }, (c) => ratingFor(c)?.count ?? 0)
+    );
+  }
+
+  featureList(cars, features).forEach((feature) => {
+    aligned.push(carRow(cars, { key: `feature.${feature}`, label: feature, section: 'features' }, (c) => hasFeature(c, feature)));
+  });
+
+  aligned.push(
+    carRow(cars, { key: 'pros', label: 'Pros', section: 'highlights' }, (c) => c.pros || []),
+    carRow(cars, { key: 'cons', label: 'Cons', section: 'highlights' }, (c) => c.cons || [])
+  );
+
+  return aligned.map((row) => (row.better ? markWinners(row, cars) : row));
+};
+
+/**
+ * Read score weights - { performance, efficiency, safety, price }, each >= 0
+ * Missing categories weigh 1; returns the weights or { error }
+ */
+export const parseScoreWeights = (weights) => {
+  if (weights === undefined || weights === null) {
+    return Object.fromEntries(SCORE_CATEGORIES.map((c) => [c, 1]));
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    return { error: '"weights" must be an object' };
+  }
+
+  const unknown = Object.keys(weights).filter((c) => !SCORE_CATEGORIES.includes(c));
+  if (unknown.length) {
+    return { error: `Unknown weight categories: ${unknown.join(', ')}. Use: ${SCORE_CATEGORIES.join(', ')}` };
+  }
+
+  const parsed = {};
+  for (const category of SCORE_CATEGORIES) {
+    const value = weights[category] ?? 1;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { error: `Weight for ${category} must be a non-negative number` };
+    }
+    parsed[category] = value;
+  }
+  if (!Object.values(parsed).some((w) => w > 0)) {
+    return { error: 'At least one weight must be greater than 0' };
+  }
+  return parsed;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 0-1 score of a car's value within a row (1 = best); missing values score 0
+ * Returns null when the row does not apply to the car
+ */
+const rowScore = (row, cars, index) => {
+  if (!applies(row, cars, index)) return null;
+  const amounts = row.values
+    .filter((v, i) => applies(row, cars, i) && typeof v.amount === 'number')
+    .map((v) => v.amount);
+  const amount = row.values[index].amount;
+  if (typeof amount !== 'number') return 0;
+
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  if (min === max) return 1;
+  return row.better === 'lower' ? (max - amount) / (max - min) : (amount - min) / (max - min);
+};
+
+/**
+ * Category scores (0-100) and a weighted overall score per car
+ * A category only counts for a car when at least one of its rows applies,
+ * and the weights are re-normalised over the categories that count
+ * Returns { weights, cars: [{ carId, variantId, categories, overall, rank }], winner }
+ */
+export const scoreComparison = (comparison, cars, weights) => {
+  const scored = cars.map((car, index) => {
+    const categories = {};
+    SCORE_CATEGORIES.forEach((category) => {
+      const scores = comparison
+        .filter((row) => row.category === category && row.values.some((v) => typeof v.amount === 'number'))
+        .map((row) => rowScore(row, cars, index))
+        .filter((score) => score !== null);
+      categories[category] = scores.length
+        ? round1((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100)
+        : null;
+    });
+
+    const counted = SCORE_CATEGORIES.filter((c) => categories[c] !== null && weights[c] > 0);
+    const totalWeight = counted.reduce((sum, c) => sum + weights[c], 0);
+    const overall = totalWeight
+      ? round1(counted.reduce((sum, c) => sum + categories[c] * weights[c], 0) / totalWeight)
+      : null;
+
+    return { carId: car._id, variantId: car.variant?._id ?? null, categories, overall };
+  });
+
+  const ranked = scored.map((entry) => ({
+    ...entry,
+    rank: entry.overall === null
+      ? null
+      : 1 + scored.filter((other) => other.overall !== null && other.overall > entry.overall).length,
+  }));
+  const best = ranked.find((entry) => entry.rank === 1);
+
+  return {
+    weights,
+    cars: ranked,
+    winner: best ? { carId: best.carId, variantId: best.variantId } : null,
+  };
+};
+
+/**
+ * Rows of a comparison in template order - see utils/comparisonTemplates.js
+ */
+export const applyTemplate = (comparison, template) => {
+  const rows = COMPARISON_TEMPLATES[template]?.rows;
+  if (!rows) return comparison;
+
+  const matches = (selector, key) => (selector.endsWith('*') ? key.startsWith(selector.slice(0, -1)) : key === selector);
+  return rows.flatMap((selector) => comparison.filter((row) => matches(selector, row.key)));
+};
+
+/**
+ * Pairwise head-to-head over the rows with a better direction - for each pair
+ * of cars, the rows each one wins (rows that don't apply to both are skipped)
+ * Returns [{ cars: [indexA, indexB], wins: [a, b], ties, rows: [keysA, keysB], leader }]
+ * leader is the index of the car with more wins, or null when level
+ */
+export const headToHead = (comparison, cars) => {
+  const contested = comparison.filter((row) => row.better);
+  const pairs = [];
+
+  for (let a = 0; a < cars.length; a++) {
+    for (let b = a + 1; b < cars.length; b++) {
+      const rows = [[], []];
+      let ties = 0;
+
+      contested.forEach((row) => {
+        const amountA = row.values[a].amount;
+        const amountB = row.values[b].amount;
+        if (typeof amountA !== 'number' || typeof amountB !== 'number') return;
+        if (!applies(row, cars, a) || !applies(row, cars, b)) return;
+
+        if (amountA === amountB) {
+          ties++;
+        } else {
+          const aWins = row.better === 'lower' ? amountA < amountB : amountA > amountB;
+          rows[aWins ? 0 : 1].push(row.key);
+        }
+      });
+
+      const wins = [rows[0].length, rows[1].length];
+      pairs.push({
+        cars: [a, b],
+        wins,
+        ties,
+        rows,
+        leader: wins[0] === wins[1] ? null : (wins[0] > wins[1] ? a : b),
+      });
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Validate a compare request body - { ids, weights?, tco?, features?, template? }
+ * ids entries are either a car id or { id, variant }
+ * Returns { entries: [{ id, variant }], weights, tco, features, template } or { error, details? }
+ */
+export const parseCompareRequest = (body) => {
+  const ids = body?.ids;
+
+  if (!ids) {
+    return { error: 'Request body must include "ids" array' };
+  }
+
+  if (!Array.isArray(ids)) {
+    return { error: '"ids" must be an array' };
+  }
+
+  if (ids.length < MIN_COMPARE_CARS || ids.length > MAX_COMPARE_CARS) {
+    return { error: `Provide between ${MIN_COMPARE_CARS} and ${MAX_COMPARE_CARS} car ids in "ids" array` };
+  }
+
+  const weights = parseScoreWeights(body.weights);
+  if (weights.error) return weights;
+
+  // Optional cost of ownership row - `tco: true` or TCO assumptions
+  let tco = null;
+  if (body.tco) {
+    tco = parseTcoParams(typeof body.tco === 'object' ? body.tco : {});
+    if (tco.error) return tco;
+  }
+
+  const { features } = body;
+  if (features !== undefined && (
+    !Array.isArray(features)
+    || features.length > MAX_REQUESTED_FEATURES
+    || features.some((f) => typeof f !== 'string' || !f.trim() || f.length > 50)
+  )) {
+    return { error: `"features" must be an array of up to ${MAX_REQUESTED_FEATURES} feature names` };
+  }
+
+  const template = body.template ?? DEFAULT_TEMPLATE;
+  if (typeof template !== 'string' || !Object.hasOwn(COMPARISON_TEMPLATES, template)) {
+    return { error: `template must be one of: ${Object.keys(COMPARISON_TEMPLATES).join(', ')}` };
+  }
+
+  const entries = ids.map((entry) => (
+    entry && typeof entry === 'object'
+      ? { id: entry.id, variant: entry.variant }
+      : { id: entry }
+  ));
+
+  // Validate ObjectIds
+  const invalidIds = entries
+    .filter(({ id }) => !id || typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))
+    .map(({ id }) => id);
+  if (invalidIds.length > 0) {
+    return { error: 'One or more ids are invalid', details: { invalidIds } };
+  }
+
+  const invalidVariants = entries
+    .filter(({ variant }) => variant !== undefined && variant !== null && typeof variant !== 'string')
+    .map(({ id, variant }) => ({ id, variant }));
+  if (invalidVariants.length > 0) {
+    return { error: 'Variants must be a variant id or name', details: { invalidVariants } };
+  }
+
+  return { entries, weights, tco, features: features || [], template };
+};
+
+/**
+ * Load the cars for parsed entries (in order, with their variants applied)
+ * and build the comparison against current catalog data
+ * Scores use every row; the returned rows and head-to-head follow the template
+ * Returns { template, cars, comparison, scores, headToHead } or { status, error, details? }
+ */
+export const runComparison = async ({ entries, weights, tco, features, template = DEFAULT_TEMPLATE, currency }) => {
+  // Fetch cars in the order specified, with their review stats
+  const carIds = [...new Set(entries.map(({ id }) => id))];
+  const [cars, reviewStats] = await Promise.all([
+    Car.find({ _id: { $in: carIds } }).lean(),
+    Review.aggregate([
+      { $match: { carId: { $in: carIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+      { $group: { _id: '$carId', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+  const foundIds = cars.map((c) => c._id.toString());
+  const missing = carIds.filter((id) => !foundIds.includes(id));
+
+  if (missing.length) {
+    return { status: 404, error: 'Some cars were not found', details: { missing } };
+  }
+
+  // Maintain order from request, applying the requested variant
+  const missingVariants = [];
+  const orderedCars = entries.map(({ id, variant }) => {
+    const car = cars.find((c) => c._id.toString() === id);
+    if (!car || variant === undefined || variant === null || variant === '') return car;
+
+    const match = findVariant(car, variant);
+    if (!match) {
+      missingVariants.push({ id, variant });
+      return car;
+    }
+    return applyVariant(car, match);
+  }).filter(Boolean);
+
+  if (missingVariants.length) {
+    return { status: 404, error: 'Some variants were not found', details: { missingVariants } };
+  }
+
+  if (orderedCars.length !== entries.length) {
+    return { status: 500, error: 'Failed to order cars correctly' };
+  }
+
+  const ratings = new Map((reviewStats || []).map(({ _id, average, count }) => [
+    _id.toString(),
+    { average: Math.round(average * 10) / 10, count },
+  ]));
+  const fullComparison = buildComparison(orderedCars, { currency, tco, ratings, features });
+  const scores = scoreComparison(fullComparison, orderedCars, weights);
+  const comparison = applyTemplate(fullComparison, template);
+
+  return {
+    template,
+    cars: orderedCars.map((car) => withConvertedPrice(withFormattedPrice(car), currency)),
+    comparison,
+    scores,
+    headToHead: headToHead(comparison, orderedCars),
+  };
+};
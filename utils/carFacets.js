@@ -0,0 +1,77 @@
+import Car from '../models/Car.js';
+
+/**
+ * Fields with one facet bucket per distinct value
+ */
+const VALUE_FACETS = ['brand', 'bodyType', 'fuelType', 'transmission', 'driveType'];
+
+/**
+ * Range facets - boundaries are lower-inclusive, the last bucket is open-ended
+ */
+const RANGE_FACETS = {
+  price: {
+    field: '$price.min',
+    boundaries: [0, 500000, 1000000, 2000000, 5000000, 10000000, 50000000],
+  },
+  power: {
+    field: '$powerBHP',
+    boundaries: [0, 100, 150, 200, 300, 500, 800],
+  },
+};
+
+const valueFacetStage = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+];
+
+const rangeFacetStage = ({ field, boundaries }) => [
+  { $match: { [field.slice(1)]: { $type: 'number' } } },
+  {
+    $bucket: {
+      groupBy: field,
+      boundaries,
+      default: 'above',
+      output: { count: { $sum: 1 } },
+    },
+  },
+];
+
+const formatRangeBuckets = (buckets, boundaries) =>
+  (buckets || []).map(({ _id, count }) => {
+    if (_id === 'above') {
+      return { min: boundaries[boundaries.length - 1], max: null, count };
+    }
+    const index = boundaries.indexOf(_id);
+    return { min: _id, max: boundaries[index + 1], count };
+  });
+
+/**
+ * Count cars per filter value for everything matching `query`
+ * Runs as a single $facet aggregation
+ * Returns { brand: [{ value, count }], ..., price: [{ min, max, count }], power: [...] }
+ */
+export const getCarFacets = async (query) => {
+  const facetStages = {};
+  VALUE_FACETS.forEach((field) => {
+    facetStages[field] = valueFacetStage(field);
+  });
+  Object.entries(RANGE_FACETS).forEach(([name, config]) => {
+    facetStages[name] = rangeFacetStage(config);
+  });
+
+  const [result = {}] = await Car.aggregate([
+    { $match: query },
+    { $facet: facetStages },
+  ]);
+
+  const facets = {};
+  VALUE_FACETS.forEach((field) => {
+    facets[field] = (result[field] || []).map(({ _id, count }) => ({ value: _id, count }));
+  });
+  Object.entries(RANGE_FACETS).forEach(([name, { boundaries }]) => {
+    facets[name] = formatRangeBuckets(result[name], boundaries);
+  });
+
+  return facets;
+};
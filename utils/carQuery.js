@@ -0,0 +1,626 @@
+import Car, {
+  BODY_TYPES,
+  FUEL_TYPES,
+  TRANSMISSIONS,
+  DRIVE_TYPES,
+  VARIANT_INHERITED_FIELDS,
+  resolveVariant,
+} from '../models/Car.js';
+import { getCarFacets } from './carFacets.js';
+import { encodeCursor, decodeCursor, keysetCondition } from './cursorPagination.js';
+import { suggestCorrection } from './fuzzyMatch.js';
+import { highlightMatches } from './textHighlight.js';
+import { parsePriceInput, withFormattedPrice } from './price.js';
+import { BASE_CURRENCY, fromInr, toInrAmount, withConvertedPrice } from './currency.js';
+import { parseLoanParams, maxPriceForEmi } from './loan.js';
+import { escapeRegex } from './regex.js';
+
+/**
+ * Shared filter, sort and pagination logic for every car listing endpoint
+ * (GET /api/cars, /search, /brand/:brand and /body-type/:bodyType)
+ */
+
+/**
+ * Sort options mapping
+ */
+export const SORT_FIELDS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  priceAsc: { 'price.min': 1 },
+  priceDesc: { 'price.max': -1 },
+  powerAsc: { powerBHP: 1 },
+  powerDesc: { powerBHP: -1 },
+  yearAsc: { launchYear: 1 },
+  yearDesc: { launchYear: -1 },
+  mileageAsc: { mileage: 1 },
+  mileageDesc: { mileage: -1 },
+};
+
+/**
+ * Numeric range filters - each field accepts a min and a max param
+ * `variant: true` fields also match individual variants
+ */
+const RANGE_FILTERS = [
+  { field: 'powerBHP', min: 'minPower', max: 'maxPower', variant: true },
+  { field: 'torqueNm', min: 'minTorque', max: 'maxTorque' },
+  { field: 'topSpeed', min: 'minTopSpeed', max: 'maxTopSpeed' },
+  { field: 'zeroToHundred', min: 'minZeroToHundred', max: 'maxZeroToHundred' },
+  { field: 'mileage', min: 'minMileage', max: 'maxMileage', variant: true },
+  { field: 'range', min: 'minRange', max: 'maxRange' },
+  { field: 'seatingCapacity', min: 'minSeats', max: 'maxSeats' },
+  { field: 'safetyRating', min: 'minSafetyRating', max: 'maxSafetyRating' },
+  { field: 'engine.displacement', min: 'minDisplacement', max: 'maxDisplacement' },
+  { field: 'launchYear', min: 'minYear', max: 'maxYear' },
+];
+
+/**
+ * Multi-value filters - comma-separated values are OR'ed (bodyType=SUV,MPV),
+ * and `field!=value` excludes values (fuelType!=Diesel)
+ * `allowed` lists the schema enum values; brand has no enum
+ */
+const MULTI_VALUE_FILTERS = [
+  { field: 'bodyType', allowed: BODY_TYPES },
+  { field: 'fuelType', allowed: FUEL_TYPES, variant: true },
+  { field: 'transmission', allowed: TRANSMISSIONS, variant: true },
+  { field: 'driveType', allowed: DRIVE_TYPES },
+];
+
+/**
+ * sort=relevance orders text search results by MongoDB textScore
+ * (see the weighted text index on Car); boostFeatured=true multiplies
+ * the score of featured cars by FEATURED_BOOST
+ */
+const RELEVANCE_SORT = 'relevance';
+const FEATURED_BOOST = 1.5;
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+/**
+ * Thrown while parsing query params; turned into a 400 by the caller
+ */
+class CarQueryError extends Error {}
+
+const asString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new CarQueryError(`Invalid ${name} value`);
+  }
+  return number;
+};
+
+/**
+ * Split a param into values - accepts "a,b" and repeated params (?a=x&a=y)
+ */
+const splitValues = (value) => [].concat(value ?? [])
+  .filter((v) => typeof v === 'string')
+  .flatMap((v) => v.split(','))
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+/**
+ * Map values onto their canonical enum spelling (case-insensitive)
+ */
+const canonicalValues = (values, allowed, field) => {
+  const byLower = new Map(allowed.map((v) => [v.toLowerCase(), v]));
+  const unknown = values.filter((v) => !byLower.has(v.toLowerCase()));
+  if (unknown.length) {
+    throw new CarQueryError(`Unknown ${field} value(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  return [...new Set(values.map((v) => byLower.get(v.toLowerCase())))];
+};
+
+/**
+ * Build an include/exclude condition for a multi-value filter
+ * Returns a plain value for a single include, otherwise { $in, $nin }
+ */
+const multiValueCondition = (params, field, allowed) => {
+  let include = splitValues(params[field]);
+  let exclude = splitValues(params[`${field}!`]);
+  if (allowed) {
+    include = canonicalValues(include, allowed, field);
+    exclude = canonicalValues(exclude, allowed, field);
+  }
+  if (!include.length && !exclude.length) return null;
+  if (include.length === 1 && !exclude.length) return include[0];
+
+  return {
+    ...(include.length && { $in: include }),
+    ...(exclude.length && { $nin: exclude }),
+  };
+};
+
+const parseBoolean = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  throw new CarQueryError(`Invalid ${name} value`);
+};
+
+/**
+ * Price range overlap - a car matches when its [min, max] range
+ * intersects the requested range
+ */
+const priceOverlap = (min, max) => {
+  if (min !== null && max !== null) {
+    return [
+      { 'price.min': { $gte: min, $lte: max } },
+      { 'price.max': { $gte: min, $lte: max } },
+      {
+        $and: [
+          { 'price.min': { $lte: min } },
+          { 'price.max': { $gte: max } }
+        ]
+      }
+    ];
+  }
+  if (min !== null) {
+    return [
+      { 'price.max': { $gte: min } },
+      { 'price.min': { $gte: min } }
+    ];
+  }
+  return [
+    { 'price.min': { $lte: max } },
+    { 'price.max': { $lte: max } }
+  ];
+};
+
+/**
+ * Powertrain and price filters apply to a car or to one of its variants.
+ * A car matches when its own fields satisfy every condition, or when a
+ * single variant does - so "Diesel + Automatic" needs one trim with both.
+ */
+const VARIANT_QUERY_KEYS = ['fuelType', 'transmission', 'powerBHP', 'mileage', '$or'];
+
+const applyVariantMatching = (query, variantFilter) => {
+  if (!Object.keys(variantFilter).length) return query;
+
+  const carLevel = {};
+  VARIANT_QUERY_KEYS.forEach((key) => {
+    if (query[key] !== undefined) {
+      carLevel[key] = query[key];
+      delete query[key];
+    }
+  });
+
+  // A variant that leaves a field out inherits it from the car, so each
+  // combination of left-out fields checks those fields on the car instead
+  const inheritable = Object.keys(variantFilter).filter((key) => VARIANT_INHERITED_FIELDS.includes(key));
+  const variantLevel = [];
+  for (let mask = 0; mask < 2 ** inheritable.length; mask++) {
+    const elemMatch = { ...variantFilter };
+    const inherited = {};
+    inheritable.forEach((key, bit) => {
+      if (!(mask & (1 << bit))) return;
+      elemMatch[key] = null;
+      inherited[key] = variantFilter[key];
+    });
+    variantLevel.push({ ...inherited, variants: { $elemMatch: elemMatch } });
+  }
+
+  query.$or = [carLevel, ...variantLevel];
+  return query;
+};
+
+const matchesCondition = (value, condition) => {
+  if (!condition || typeof condition !== 'object') return value === condition;
+  if (condition.$in && !condition.$in.includes(value)) return false;
+  if (condition.$nin && condition.$nin.includes(value)) return false;
+  if (condition.$gte !== undefined && !(typeof value === 'number' && value >= condition.$gte)) return false;
+  if (condition.$lte !== undefined && !(typeof value === 'number' && value <= condition.$lte)) return false;
+  return true;
+};
+
+const variantMatches = (variant, variantFilter) =>
+  Object.entries(variantFilter).every(([key, condition]) => matchesCondition(variant[key], condition));
+
+/**
+ * Add `matchingVariants` to cars with variants when variant filters are active
+ * Matching variants are listed with their inherited fields filled in
+ */
+export const annotateMatchingVariants = (cars, variantFilter) => {
+  if (!variantFilter || !Object.keys(variantFilter).length) return cars;
+  return cars.map((car) => (car.variants?.length
+    ? {
+      ...car,
+      matchingVariants: car.variants
+        .map((v) => resolveVariant(car, v))
+        .filter((v) => variantMatches(v, variantFilter)),
+    }
+    : car));
+};
+
+/**
+ * Build the MongoDB filter for car listings
+ * Params (all optional):
+ * - q: Search query (text search)
+ * - brand: Filter by brand (case-insensitive)
+ * - bodyType: Filter by body type (SUV, Sedan, etc.)
+ * - fuelType: Filter by fuel type (Petrol, Diesel, EV, Hybrid)
+ * - transmission: Filter by transmission (Manual, Automatic, etc.)
+ * - driveType: Filter by drive type (FWD, RWD, AWD, 4WD)
+ *   brand, bodyType, fuelType, transmission and driveType accept comma-separated
+ *   values (bodyType=SUV,MPV) and exclusions (fuelType!=Diesel); enum values are
+ *   validated against the Car schema
+ * - minPrice / maxPrice: Price range (overlaps the car's price range), in raw INR
+ *   or lakh/crore notation ("5L", "5.99 lakh", "1.2cr")
+ * - maxEmi: Monthly EMI budget - caps the price at what the EMI finances, using the
+ *   loan params downPayment/downPaymentPercent, interestRate and tenureMonths (utils/loan.js)
+ * - turbo: Filter turbocharged engines (true/false)
+ * - min/max range params (see RANGE_FILTERS): minPower/maxPower, minTorque/maxTorque,
+ *   minTopSpeed/maxTopSpeed, minZeroToHundred/maxZeroToHundred, minMileage/maxMileage,
+ *   minRange/maxRange, minSeats/maxSeats, minSafetyRating/maxSafetyRating,
+ *   minDisplacement/maxDisplacement, minYear/maxYear
+ * - launchYear: Filter by exact launch year
+ * - discontinued: Filter discontinued cars (true/false)
+ * - tags: Comma-separated tags
+ * options.currency: rate entry (utils/currency.js) that minPrice/maxPrice are given in
+ * Returns { query, variantFilter } or { error } for invalid params
+ */
+export const buildCarFilter = (params = {}, { currency } = {}) => {
+  try {
+    const query = {};
+    const variantFilter = {};
+
+    // Text search
+    const q = asString(params.q);
+    if (q) {
+      query.$text = { $search: q };
+    }
+
+    // Brand filter (case-insensitive partial match, multi-value and exclusion)
+    const brandPattern = (b) => new RegExp(escapeRegex(b.toUpperCase()), 'i');
+    const brands = splitValues(params.brand);
+    const excludedBrands = splitValues(params['brand!']);
+    if (brands.length === 1 && !excludedBrands.length) {
+      query.brand = { $regex: escapeRegex(brands[0].toUpperCase()), $options: 'i' };
+    } else if (brands.length || excludedBrands.length) {
+      query.brand = {
+        ...(brands.length && { $in: brands.map(brandPattern) }),
+        ...(excludedBrands.length && { $nin: excludedBrands.map(brandPattern) }),
+      };
+    }
+
+    // Enum filters (bodyType, fuelType, transmission, driveType)
+    MULTI_VALUE_FILTERS.forEach(({ field, allowed, variant }) => {
+      const condition = multiValueCondition(params, field, allowed);
+      if (condition === null) return;
+      query[field] = condition;
+      if (variant) {
+        variantFilter[field] = condition;
+      }
+    });
+
+    // Price range filter (raw INR or lakh/crore notation: 5L, 1.2cr)
+    let min = parsePriceInput(params.minPrice);
+    let max = parsePriceInput(params.maxPrice);
+    if (Number.isNaN(min)) {
+      throw new CarQueryError('Invalid minPrice value');
+    }
+    if (Number.isNaN(max)) {
+      throw new CarQueryError('Invalid maxPrice value');
+    }
+    // Prices in another currency are converted to stored INR amounts
+    const converted = currency && currency.currency !== BASE_CURRENCY;
+    if (converted) {
+      if (min !== null) min = toInrAmount(min, currency);
+      if (max !== null) max = toInrAmount(max, currency);
+    }
+
+    // Reverse EMI filter - cars whose price the monthly EMI (plus down payment) covers
+    const maxEmi = parseNumber(params.maxEmi, 'maxEmi');
+    if (maxEmi !== null) {
+      const loan = parseLoanParams(params);
+      if (loan.error) {
+        throw new CarQueryError(loan.error);
+      }
+      if (converted && loan.downPayment !== null) {
+        loan.downPayment = toInrAmount(loan.downPayment, currency);
+      }
+      const emiPrice = maxPriceForEmi(converted ? toInrAmount(maxEmi, currency) : maxEmi, loan);
+      if (emiPrice !== null) {
+        max = max === null ? emiPrice : Math.min(max, emiPrice);
+      }
+    }
+    if (min !== null && max !== null && min > max) {
+      throw new CarQueryError('minPrice cannot be greater than maxPrice');
+    }
+    if (min !== null || max !== null) {
+      query.$or = priceOverlap(min, max);
+      variantFilter.price = {
+        ...(min !== null && { $gte: min }),
+        ...(max !== null && { $lte: max }),
+      };
+    }
+
+    // Turbo filter
+    const turbo = parseBoolean(params.turbo, 'turbo');
+    if (turbo !== null) {
+      query['engine.turbo'] = turbo;
+    }
+
+    // Numeric range filters
+    RANGE_FILTERS.forEach(({ field, min: minParam, max: maxParam, variant }) => {
+      const rangeMin = parseNumber(params[minParam], minParam);
+      const rangeMax = parseNumber(params[maxParam], maxParam);
+      if (rangeMin !== null && rangeMax !== null && rangeMin > rangeMax) {
+        throw new CarQueryError(`${minParam} cannot be greater than ${maxParam}`);
+      }
+      if (rangeMin === null && rangeMax === null) return;
+
+      const condition = {
+        ...(rangeMin !== null && { $gte: rangeMin }),
+        ...(rangeMax !== null && { $lte: rangeMax }),
+      };
+      query[field] = condition;
+      if (variant) {
+        variantFilter[field] = condition;
+      }
+    });
+
+    // Exact launch year (can be combined with minYear/maxYear)
+    const year = parseNumber(params.launchYear, 'launchYear');
+    if (year !== null) {
+      query.launchYear = { ...query.launchYear, $eq: year };
+    }
+
+    // Discontinued filter
+    if (params.discontinued !== undefined) {
+      query.discontinued = params.discontinued === 'true' || params.discontinued === true;
+    }
+
+    // Tags filter
+    if (params.tags && typeof params.tags === 'string') {
+      const tagArr = params.tags.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+      if (tagArr.length) {
+        query.tags = { $in: tagArr };
+      }
+    }
+
+    applyVariantMatching(query, variantFilter);
+
+    return { query, variantFilter };
+  } catch (error) {
+    if (error instanceof CarQueryError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Parse page, limit and sort params
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 12, max: 50)
+ * - sort: Key of SORT_FIELDS (default: newest), or relevance for text searches
+ * _id is appended to every sort as a stable tiebreaker
+ */
+export const parseListOptions = (params = {}) => {
+  const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(Number(params.page) || 1, 1);
+  const sortKey = SORT_FIELDS[params.sort] ? params.sort : 'newest';
+  const [[field, order]] = Object.entries(SORT_FIELDS[sortKey]);
+  const sortOption = { [field]: order, _id: order };
+  return { page, limit, sortKey, field, order, sortOption };
+};
+
+/**
+ * Cursor mode: fetch one page after/before the cursor in (sort field, _id) order
+ * Skips countDocuments - the response has nextCursor/prevCursor instead of totals
+ * Relevance order has no keyset, so text searches must pass an explicit sort
+ * rather than silently falling back to newest
+ */
+const listCarsByCursor = async (query, params) => {
+  if (params.sort === RELEVANCE_SORT || (!params.cursor && useRelevanceSort(params))) {
+    return { error: 'Cursor pagination does not support relevance order - pass a sort (e.g. sort=newest) with q' };
+  }
+
+  let cursor = null;
+  if (params.cursor) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor || !SORT_FIELDS[cursor.sortKey]) {
+      return { error: 'Invalid cursor' };
+    }
+    if (params.sort && params.sort !== cursor.sortKey) {
+      return { error: 'Cursor was created for a different sort order' };
+    }
+  }
+
+  const { limit, sortKey, field, order } = parseListOptions({
+    ...params,
+    sort: cursor ? cursor.sortKey : params.sort,
+  });
+  const direction = cursor?.direction || 'next';
+  const readOrder = direction === 'next' ? order : -order;
+
+  const pageQuery = cursor
+    ? {
+        ...query,
+        $and: [
+          ...(query.$and || []),
+          keysetCondition({ field, order: readOrder, value: cursor.value, id: cursor.id }),
+        ],
+      }
+    : query;
+
+  const rows = await Car.find(pageQuery)
+    .sort({ [field]: readOrder, _id: readOrder })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (direction === 'prev') page.reverse();
+
+  const cursorFor = (doc, dir) => encodeCursor(doc, { sortKey, field, direction: dir });
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = direction === 'next' ? hasMore : !!cursor;
+  const hasPrev = direction === 'prev' ? hasMore : !!cursor;
+
+  return {
+    data: page.map(withFormattedPrice),
+    limit,
+    sort: sortKey,
+    nextCursor: last && hasNext ? cursorFor(last, 'next') : null,
+    prevCursor: first && hasPrev ? cursorFor(first, 'prev') : null,
+  };
+};
+
+/**
+ * Relevance sort applies to text searches, and is the default when q is set
+ */
+const useRelevanceSort = (params) =>
+  !!asString(params.q) && (params.sort === RELEVANCE_SORT || !params.sort);
+
+/**
+ * Text search ordered by (optionally boosted) textScore, exposed as relevanceScore
+ */
+const findByRelevance = (query, { page, limit, boostFeatured }) => Car.aggregate([
+  { $match: query },
+  {
+    $addFields: {
+      relevanceScore: boostFeatured
+        ? { $multiply: [{ $meta: 'textScore' }, { $cond: ['$isFeatured', FEATURED_BOOST, 1] }] }
+        : { $meta: 'textScore' },
+    },
+  },
+  { $sort: { relevanceScore: -1, _id: 1 } },
+  { $skip: (page - 1) * limit },
+  { $limit: limit },
+]);
+
+/**
+ * Page mode: page/limit with total and totalPages
+ */
+const listCarsByPage = async ({ query, variantFilter }, params, includeFacets) => {
+  const { page, limit, sortOption } = parseListOptions(params);
+  const boostFeatured = params.boostFeatured === 'true' || params.boostFeatured === '1';
+
+  const [data, total, facets] = await Promise.all([
+    useRelevanceSort(params)
+      ? findByRelevance(query, { page, limit, boostFeatured })
+      : Car.find(query)
+        .sort(sortOption)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    Car.countDocuments(query),
+    includeFacets ? getCarFacets(query) : null,
+  ]);
+
+  return {
+    data: annotateMatchingVariants(data || [], variantFilter).map(withFormattedPrice),
+    page,
+    totalPages: Math.ceil((total || 0) / limit),
+    total: total || 0,
+    limit,
+    ...(includeFacets && { facets }),
+  };
+};
+
+/**
+ * Add `highlights` ([{ field, snippet }]) to text search results
+ */
+const withHighlights = (cars, q) => {
+  const text = asString(q);
+  if (!text) return cars;
+  return cars.map((car) => ({ ...car, highlights: highlightMatches(car, text) }));
+};
+
+/**
+ * Text searches with fewer results than this also try a typo-corrected query
+ */
+const FUZZY_THRESHOLD = 3;
+
+/**
+ * Listing in stored INR amounts - see listCars
+ */
+const runListing = async (params, options) => {
+  const filter = buildCarFilter(params, options);
+  if (filter.error) return filter;
+
+  const { query, variantFilter } = filter;
+  const includeFacets = params.facets === 'true' || params.facets === '1';
+
+  if (params.cursor || params.paginate === 'cursor') {
+    const [result, facets] = await Promise.all([
+      listCarsByCursor(query, params),
+      includeFacets ? getCarFacets(query) : null,
+    ]);
+    if (result.error) return result;
+
+    return {
+      ...result,
+      data: withHighlights(annotateMatchingVariants(result.data, variantFilter), params.q),
+      ...(includeFacets && { facets }),
+    };
+  }
+
+  const result = await listCarsByPage(filter, params, includeFacets);
+
+  const q = asString(params.q);
+  if (!q) return result;
+  if (result.total >= FUZZY_THRESHOLD) {
+    return { ...result, data: withHighlights(result.data, q) };
+  }
+
+  const correction = await suggestCorrection(q);
+  if (!correction) {
+    return { ...result, data: withHighlights(result.data, q) };
+  }
+
+  const correctedFilter = buildCarFilter({ ...params, q: correction }, options);
+  const corrected = await listCarsByPage(correctedFilter, { ...params, q: correction }, includeFacets);
+  if (corrected.total > result.total) {
+    return {
+      ...corrected,
+      data: withHighlights(corrected.data, correction),
+      fuzzy: true,
+      originalQuery: q,
+      didYouMean: correction,
+    };
+  }
+  return { ...result, data: withHighlights(result.data, q), didYouMean: correction };
+};
+
+/**
+ * Converted amounts for price facet buckets
+ */
+const convertPriceFacets = (facets, rate) => facets && {
+  ...facets,
+  price: (facets.price || []).map((bucket) => ({
+    ...bucket,
+    converted: { currency: rate.currency, min: fromInr(bucket.min, rate), max: fromInr(bucket.max, rate) },
+  })),
+};
+
+/**
+ * Run a paginated car listing for the given query params
+ * - Page mode (default): page/limit with total and totalPages
+ * - Cursor mode: pass `paginate=cursor` for the first page, then `cursor`
+ *   with the returned nextCursor/prevCursor
+ * Also supports `facets=true` (see utils/carFacets.js)
+ * When a text search (q) finds fewer than FUZZY_THRESHOLD cars, the query is
+ * typo-corrected (see utils/fuzzyMatch.js) and the response includes
+ * `didYouMean`; if the corrected query finds more cars its results are
+ * returned instead, with `fuzzy: true` and `originalQuery`.
+ * options.currency: rate entry (utils/currency.js) - price filters are read in
+ * that currency, and cars and price facets also get the converted amounts
+ * Returns the listing payload, or { error } for invalid params
+ */
+export const listCars = async (params = {}, { currency } = {}) => {
+  const result = await runListing(params, { currency });
+  if (result.error || !currency || currency.currency === BASE_CURRENCY) return result;
+
+  return {
+    ...result,
+    data: result.data.map((car) => withConvertedPrice(car, currency)),
+    currency: currency.currency,
+    ...(result.facets && { facets: convertPriceFacets(result.facets, currency) }),
+  };
+};
@@ -0,0 +1,176 @@
+import { createPdf } from './pdf.js';
+import { SCORE_CATEGORIES } from './carComparison.js';
+
+/**
+ * CSV and PDF exports of a comparison (the runComparison result)
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const DISCLAIMER = 'Prices are ex-showroom. Scores and cost estimates are indicative.';
+
+/**
+ * Requested export format - ?format= wins over the Accept header
+ * Returns 'json', 'csv', 'pdf', or null for an unsupported ?format=
+ */
+export const exportFormatFor = (req) => {
+  const requested = req.query?.format;
+  if (requested) {
+    const format = String(requested).toLowerCase();
+    return format === 'json' || EXPORT_FORMATS[format] ? format : null;
+  }
+  const accepted = req.accepts(['application/json', 'text/csv', 'application/pdf']);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === 'application/pdf') return 'pdf';
+  return 'json';
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+};
+
+/**
+ * Table rows shared by both formats - [label, ...values, best]
+ * Spec rows first, then category and overall scores
+ */
+const tableRows = ({ cars, comparison, scores }) => {
+  const titles = cars.map((car) => car.title);
+  const specRows = comparison.map((row) => [
+    row.label,
+    ...row.values.map((v) => cellText(v.value)),
+    (row.winners || []).map((index) => titles[index]).join(' / '),
+  ]);
+
+  if (!scores) return specRows;
+
+  const scoreRows = SCORE_CATEGORIES.map((category) => [
+    `${capitalize(category)} score (weight ${scores.weights[category]})`,
+    ...scores.cars.map((car) => cellText(car.categories[category])),
+    '',
+  ]);
+  scoreRows.push([
+    'Overall score',
+    ...scores.cars.map((car) => cellText(car.overall)),
+    scores.cars.map((car, index) => (car.rank === 1 ? titles[index] : null)).filter(Boolean).join(' / '),
+  ]);
+  return [...specRows, ...scoreRows];
+};
+
+/**
+ * Which cells of each table row are winners - used to highlight the PDF
+ */
+const winnerCells = ({ comparison, scores }) => [
+  ...comparison.map((row) => row.winners || []),
+  ...(scores
+    ? [
+      ...SCORE_CATEGORIES.map(() => []),
+      scores.cars.map((car, index) => (car.rank === 1 ? index : null)).filter((index) => index !== null),
+    ]
+    : []),
+];
+
+/**
+ * Quote a CSV cell - cells that a spreadsheet would read as a formula
+ * (starting with = + - @, tab or CR) are prefixed with ' so they stay text
+ */
+const csvEscape = (value) => {
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with a header row of car titles and a final "Best" column
+ * Starts with a BOM so spreadsheet apps read the rupee sign correctly
+ */
+export const comparisonToCsv = (result) => {
+  const header = ['Spec', ...result.cars.map((car) => car.title), 'Best'];
+  const lines = [header, ...tableRows(result)].map((row) => row.map((cell) => csvEscape(cellText(cell))).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Printable landscape spec sheet - winners are shaded, the header repeats on every page
+ */
+export const comparisonToPdf = (result, { title = 'Car comparison' } = {}) => {
+  const pdf = createPdf();
+  const margin = 36;
+  const labelWidth = 150;
+  const rowHeight = 18;
+  const size = result.cars.length > 4 ? 7 : 8.5;
+  const columnWidth = (pdf.width - margin * 2 - labelWidth) / result.cars.length;
+  const rows = tableRows(result);
+  const winners = winnerCells(result);
+  let top = 0;
+  let pageNumber = 0;
+
+  const columnX = (index) => margin + labelWidth + index * columnWidth;
+
+  const startPage = () => {
+    pdf.addPage();
+    pageNumber++;
+    pdf.text(title, margin, margin + 14, { size: 16, bold: true });
+    pdf.text(`Generated ${new Date().toISOString().slice(0, 10)} - page ${pageNumber}`, margin, margin + 30, {
+      size: 8,
+      color: [0.4, 0.4, 0.4],
+    });
+
+    top = margin + 44;
+    pdf.rect(margin, top, pdf.width - margin * 2, rowHeight * 1.5, { fill: [0.16, 0.24, 0.36] });
+    pdf.text('Specification', margin + 4, top + 17, { size, bold: true, color: [1, 1, 1] });
+    result.cars.forEach((car, index) => {
+      pdf.text(pdf.fit(car.title, size, columnWidth - 8), columnX(index) + 4, top + 17, {
+        size,
+        bold: true,
+        color: [1, 1, 1],
+      });
+    });
+    top += rowHeight * 1.5;
+  };
+
+  startPage();
+  rows.forEach((row, rowIndex) => {
+    if (top + rowHeight > pdf.height - margin - 20) startPage();
+
+    if (rowIndex % 2 === 1) {
+      pdf.rect(margin, top, pdf.width - margin * 2, rowHeight, { fill: [0.96, 0.96, 0.96] });
+    }
+    const [label, ...cells] = row;
+    pdf.text(pdf.fit(label, size, labelWidth - 8), margin + 4, top + 12, { size, bold: true });
+    result.cars.forEach((car, index) => {
+      const isWinner = winners[rowIndex]?.includes(index);
+      if (isWinner) {
+        pdf.rect(columnX(index), top, columnWidth, rowHeight, { fill: [0.85, 0.94, 0.85] });
+      }
+      pdf.text(pdf.fit(cells[index] || '-', size, columnWidth - 8), columnX(index) + 4, top + 12, {
+        size,
+        bold: isWinner,
+      });
+    });
+    top += rowHeight;
+    pdf.line(margin, top, pdf.width - margin, top);
+  });
+
+  pdf.text(DISCLAIMER, margin, pdf.height - margin, { size: 7, color: [0.4, 0.4, 0.4] });
+  return pdf.toBuffer();
+};
+
+/**
+ * Render a comparison in an export format
+ * Returns { contentType, filename, body }
+ */
+export const renderComparison = (result, format, { title, filename = 'comparison' } = {}) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  return {
+    contentType,
+    filename: `${filename}.${extension}`,
+    body: format === 'csv' ? comparisonToCsv(result) : comparisonToPdf(result, { title }),
+  };
+};
@@ -0,0 +1,70 @@
+/**
+ * Named comparison templates - which rows a comparison shows and in what order
+ * rows: comparison row keys (see utils/carComparison.js); a trailing * matches
+ * by prefix, so 'feature.*' is every feature row
+ * Rows that a comparison doesn't have (e.g. 'tco' without TCO assumptions) are skipped
+ */
+
+export const DEFAULT_TEMPLATE = 'full';
+
+export const COMPARISON_TEMPLATES = {
+  full: {
+    label: 'Full comparison',
+    description: 'Every spec, rating, feature and highlight row',
+    rows: null,
+  },
+  performance: {
+    label: 'Performance',
+    description: 'Power, acceleration and drivetrain',
+    rows: [
+      'price',
+      'powerBHP',
+      'torqueNm',
+      'zeroToHundred',
+      'topSpeed',
+      'engine.displacement',
+      'engine.cylinders',
+      'engine.turbo',
+      'fuelType',
+      'transmission',
+      'driveType',
+      'rating',
+    ],
+  },
+  family: {
+    label: 'Family',
+    description: 'Space, safety, running costs and features',
+    rows: [
+      'price',
+      'bodyType',
+      'seatingCapacity',
+      'safetyRating',
+      'mileage',
+      'range',
+      'tco',
+      'transmission',
+      'rating',
+      'reviewCount',
+      'feature.*',
+      'pros',
+      'cons',
+    ],
+  },
+  ev: {
+    label: 'Electric',
+    description: 'Range, performance and ownership costs for EVs',
+    rows: [
+      'price',
+      'range',
+      'powerBHP',
+      'torqueNm',
+      'zeroToHundred',
+      'bodyType',
+      'seatingCapacity',
+      'safetyRating',
+      'tco',
+      'rating',
+      'feature.*',
+    ],
+  },
+};
@@ -0,0 +1,140 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import { formatPriceRangeFull } from './price.js';
+
+/**
+ * Multi-currency pricing
+ * Catalog prices are stored in INR (Car.price.currency), so a single rate
+ * converts price filters and leaves price sort order unchanged
+ */
+
+export const BASE_CURRENCY = 'INR';
+
+/**
+ * Built-in rates (INR per unit), used until an admin stores a rate
+ */
+const DEFAULT_RATES = [
+  { currency: 'INR', inrPerUnit: 1, symbol: '₹' },
+  { currency: 'USD', inrPerUnit: 83, symbol: '$' },
+  { currency: 'EUR', inrPerUnit: 90, symbol: '€' },
+  { currency: 'GBP', inrPerUnit: 105, symbol: '£' },
+  { currency: 'AED', inrPerUnit: 22.6, symbol: 'AED ' },
+];
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+let cache = null;
+let cacheBuiltAt = 0;
+
+/**
+ * Rate table keyed by currency code - stored rates override the defaults
+ * Each entry: { currency, inrPerUnit, symbol, source: 'default' | 'custom', updatedAt }
+ */
+export const getRateTable = async () => {
+  if (cache && Date.now() - cacheBuiltAt < CACHE_TTL_MS) return cache;
+
+  const stored = await ExchangeRate.find().lean();
+  const table = new Map(
+    DEFAULT_RATES.map((rate) => [rate.currency, { ...rate, source: 'default', updatedAt: null }])
+  );
+  stored.forEach(({ currency, inrPerUnit, symbol, updatedAt }) => {
+    table.set(currency, {
+      currency,
+      inrPerUnit,
+      symbol: symbol || table.get(currency)?.symbol || `${currency} `,
+      source: 'custom',
+      updatedAt,
+    });
+  });
+  // The base currency is fixed
+  table.set(BASE_CURRENCY, { ...DEFAULT_RATES[0], source: 'default', updatedAt: null });
+
+  cache = table;
+  cacheBuiltAt = Date.now();
+  return table;
+};
+
+/**
+ * Drop the cached table (call after rate updates)
+ */
+export const invalidateRateTable = () => {
+  cache = null;
+  cacheBuiltAt = 0;
+};
+
+/**
+ * Look up a currency code - returns its rate entry, or null when unknown
+ * Empty codes resolve to the base currency
+ */
+export const resolveCurrency = async (code) => {
+  const table = await getRateTable();
+  if (code === undefined || code === null || code === '') return table.get(BASE_CURRENCY);
+  return table.get(String(code).trim().toUpperCase()) || null;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * INR -> target currency amount
+ */
+export const fromInr = (amount, rate) =>
+  (typeof amount === 'number' ? roundAmount(amount / rate.inrPerUnit) : null);
+
+/**
+ * Target currency amount -> INR (for price filters)
+ */
+export const toInrAmount = (amount, rate) => Math.round(amount * rate.inrPerUnit);
+
+/**
+ * Whole-unit amount with the currency symbol - "$7,217"
+ */
+export const formatCurrency = (amount, rate) =>
+  `${rate.symbol}${Math.round(amount).toLocaleString('en-US')}`;
+
+/**
+ * Converted price range as shown in comparisons - "$7,217 - $10,831"
+ * Falls back to the INR range for the base currency
+ */
+export const formatConvertedRange = (price, rate) => {
+  if (!rate || rate.currency === BASE_CURRENCY) return formatPriceRangeFull(price);
+
+  const { min, max } = price || {};
+  const low = fromInr(min || max, rate);
+  const high = fromInr(max || min, rate);
+  if (low === null) return null;
+  return low === high ? formatCurrency(low, rate) : `${formatCurrency(low, rate)} - ${formatCurrency(high, rate)}`;
+};
+
+/**
+ * Add `priceConverted` to a plain car object; `price` keeps the original INR amounts
+ * { currency, inrPerUnit, min, max, formatted }
+ * Cars are returned unchanged for the base currency
+ */
+export const withConvertedPrice = (car, rate) => {
+  if (!car || !rate || rate.currency === BASE_CURRENCY) return car;
+
+  return {
+    ...car,
+    priceConverted: {
+      currency: rate.currency,
+      inrPerUnit: rate.inrPerUnit,
+      min: fromInr(car.price?.min, rate),
+      max: fromInr(car.price?.max, rate),
+      formatted: formatConvertedRange(car.price, rate),
+    },
+  };
+};
+
+/**
+ * Add `converted` to a plain object - the listed INR amounts in the display currency
+ * { currency, inrPerUnit, [key]: amount }
+ * Objects are returned unchanged for the base currency
+ */
+export const withConvertedAmounts = (target, keys, rate) => {
+  if (!target || !rate || rate.currency === BASE_CURRENCY) return target;
+
+  const converted = { currency: rate.currency, inrPerUnit: rate.inrPerUnit };
+  keys.forEach((key) => {
+    converted[key] = fromInr(target[key], rate);
+  });
+  return { ...target, converted };
+};
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * Opaque keyset cursors for listing endpoints
+ * A cursor records the sort key, the sort field value and _id of the boundary
+ * document, and the direction to read in. Results are ordered by
+ * (sort field, _id) so pages stay stable while the catalog changes.
+ */
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+export const encodeCursor = (doc, { sortKey, field, direction }) => {
+  const value = getPath(doc, field);
+  const payload = {
+    s: sortKey,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    t: value instanceof Date ? 'date' : undefined,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Returns { sortKey, direction, value, id } or null for a malformed cursor
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string' || !['next', 'prev'].includes(payload.d)) {
+      return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    return {
+      sortKey: payload.s,
+      direction: payload.d,
+      value: payload.t === 'date' ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Filter for documents strictly after the cursor in (field, _id) order
+ * `order` is the effective sort direction (1 or -1) for this read.
+ * MongoDB sorts null/missing values first ascending and last descending,
+ * and range operators never match null, so nulls are handled explicitly.
+ */
+export const keysetCondition = ({ field, order, value, id }) => {
+  const after = order === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, _id: { [after]: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { [after]: id } };
+  }
+
+  const clauses = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } },
+  ];
+  if (order === -1) {
+    clauses.push({ [field]: null });
+  }
+  return { $or: clauses };
+};
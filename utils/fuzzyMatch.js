@@ -0,0 +1,96 @@
+import { getSuggestIndex } from './suggestIndex.js';
+
+/**
+ * Typo-tolerant matching for search queries ("Lamborgini" -> "lamborghini")
+ */
+
+/**
+ * Optimal string alignment distance - Levenshtein plus adjacent transpositions
+ * Stops early once the distance exceeds `maxDistance`
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Allowed typos for a word - short words must be (nearly) exact
+ */
+const maxTyposFor = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 5) return 1;
+  if (word.length <= 9) return 2;
+  return 3;
+};
+
+/**
+ * Closest vocabulary word within the typo budget, or null
+ * Ties prefer words sharing the first letter, then more frequent words
+ */
+const closestWord = (word, vocabulary) => {
+  const maxTypos = maxTyposFor(word);
+  if (!maxTypos) return null;
+
+  let best = null;
+  vocabulary.forEach((count, candidate) => {
+    const distance = editDistance(word, candidate, maxTypos);
+    if (distance > maxTypos) return;
+
+    const sameStart = candidate[0] === word[0];
+    if (
+      !best
+      || distance < best.distance
+      || (distance === best.distance && sameStart && !best.sameStart)
+      || (distance === best.distance && sameStart === best.sameStart && count > best.count)
+    ) {
+      best = { word: candidate, distance, sameStart, count };
+    }
+  });
+
+  return best?.word || null;
+};
+
+/**
+ * Suggest a corrected query by replacing unknown words with their closest
+ * brand/model/title/tag word. Returns null when nothing needs correcting.
+ */
+export const suggestCorrection = async (q) => {
+  const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+
+  const { vocabulary } = await getSuggestIndex();
+  let changed = false;
+  const corrected = words.map((word) => {
+    if (vocabulary.has(word)) return word;
+    const match = closestWord(word, vocabulary);
+    if (match) {
+      changed = true;
+      return match;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
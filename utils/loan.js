@@ -0,0 +1,136 @@
+import { parsePriceInput } from './price.js';
+
+/**
+ * Car loan maths - EMI, amortisation schedule and the reverse
+ * "how much car does this EMI buy" calculation
+ * Amounts are in INR; rates are annual percentages
+ */
+
+export const DEFAULT_INTEREST_RATE = 9;
+export const DEFAULT_TENURE_MONTHS = 60;
+const MAX_INTEREST_RATE = 50;
+const MAX_TENURE_MONTHS = 120;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Monthly EMI for a loan - P * r * (1 + r)^n / ((1 + r)^n - 1)
+ */
+export const calculateEmi = (principal, annualRate, months) => {
+  if (principal <= 0) return 0;
+  const r = annualRate / 12 / 100;
+  if (r === 0) return principal / months;
+  const factor = (1 + r) ** months;
+  return (principal * r * factor) / (factor - 1);
+};
+
+/**
+ * Largest loan a monthly EMI can repay (inverse of calculateEmi)
+ */
+export const maxPrincipalForEmi = (emi, annualRate, months) => {
+  if (emi <= 0) return 0;
+  const r = annualRate / 12 / 100;
+  if (r === 0) return emi * months;
+  const factor = (1 + r) ** months;
+  return (emi * (factor - 1)) / (r * factor);
+};
+
+/**
+ * Highest car price a monthly EMI covers once the down payment is added
+ * Returns null when there is no upper limit (100% down payment)
+ */
+export const maxPriceForEmi = (emi, { downPayment, downPaymentPercent, interestRate, tenureMonths }) => {
+  const principal = maxPrincipalForEmi(emi, interestRate, tenureMonths);
+  if (downPayment !== null && downPayment !== undefined) return Math.floor(principal + downPayment);
+  const financedShare = 1 - (downPaymentPercent || 0) / 100;
+  return financedShare > 0 ? Math.floor(principal / financedShare) : null;
+};
+
+/**
+ * Month-by-month split of each EMI into principal and interest
+ * Returns [{ month, emi, principal, interest, balance }]
+ */
+export const amortisationSchedule = (principal, annualRate, months) => {
+  const r = annualRate / 12 / 100;
+  const emi = calculateEmi(principal, annualRate, months);
+  const schedule = [];
+  let balance = principal;
+
+  for (let month = 1; month <= months && balance > 0; month++) {
+    const interest = balance * r;
+    // The last payment clears any rounding remainder
+    const principalPart = month === months ? balance : emi - interest;
+    balance = Math.max(balance - principalPart, 0);
+    schedule.push({
+      month,
+      emi: round(principalPart + interest),
+      principal: round(principalPart),
+      interest: round(interest),
+      balance: round(balance),
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Loan summary for a price - { price, downPayment, loanAmount, emi, totalInterest, totalPayable }
+ * plus the amortisation `schedule` when requested
+ */
+export const loanSummary = (price, { downPayment, downPaymentPercent, interestRate, tenureMonths }, { schedule = false } = {}) => {
+  const deposit = Math.min(
+    downPayment ?? Math.round((price * (downPaymentPercent || 0)) / 100),
+    price
+  );
+  const loanAmount = price - deposit;
+  const emi = calculateEmi(loanAmount, interestRate, tenureMonths);
+  const totalPayable = emi * tenureMonths;
+
+  return {
+    price,
+    downPayment: deposit,
+    loanAmount,
+    emi: round(emi),
+    totalInterest: round(totalPayable - loanAmount),
+    totalPayable: round(totalPayable + deposit),
+    ...(schedule && { schedule: amortisationSchedule(loanAmount, interestRate, tenureMonths) }),
+  };
+};
+
+const parseNumberParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Read loan terms from request params
+ * - downPayment: Amount (raw INR or lakh notation) or downPaymentPercent: 0-100
+ * - interestRate: Annual % (default DEFAULT_INTEREST_RATE)
+ * - tenureMonths: Loan tenure (default DEFAULT_TENURE_MONTHS)
+ * Returns { downPayment, downPaymentPercent, interestRate, tenureMonths } or { error }
+ */
+export const parseLoanParams = (params = {}) => {
+  const downPayment = parsePriceInput(params.downPayment);
+  const downPaymentPercent = parseNumberParam(params.downPaymentPercent);
+  const interestRate = parseNumberParam(params.interestRate) ?? DEFAULT_INTEREST_RATE;
+  const tenureMonths = parseNumberParam(params.tenureMonths) ?? DEFAULT_TENURE_MONTHS;
+
+  if (Number.isNaN(downPayment) || (downPayment !== null && downPayment < 0)) {
+    return { error: 'Invalid downPayment value' };
+  }
+  if (Number.isNaN(downPaymentPercent) || (downPaymentPercent !== null && (downPaymentPercent < 0 || downPaymentPercent > 100))) {
+    return { error: 'downPaymentPercent must be between 0 and 100' };
+  }
+  if (downPayment !== null && downPaymentPercent !== null) {
+    return { error: 'Use either downPayment or downPaymentPercent, not both' };
+  }
+  if (Number.isNaN(interestRate) || interestRate < 0 || interestRate > MAX_INTEREST_RATE) {
+    return { error: `interestRate must be between 0 and ${MAX_INTEREST_RATE}` };
+  }
+  if (!Number.isInteger(tenureMonths) || tenureMonths < 1 || tenureMonths > MAX_TENURE_MONTHS) {
+    return { error: `tenureMonths must be a whole number between 1 and ${MAX_TENURE_MONTHS}` };
+  }
+
+  return { downPayment, downPaymentPercent, interestRate, tenureMonths };
+};
@@ -0,0 +1,226 @@
+import { PRICE_UNIT_PATTERN, PRICE_WORD_UNIT_PATTERN, toInr, LAKH } from './price.js';
+import { escapeRegex } from './regex.js';
+
+/**
+ * Natural-language car query parser
+ * Turns "petrol SUV under 10 lakh automatic 7 seater" into the filter params
+ * accepted by GET /api/cars (see utils/carQuery.js):
+ * { fuelType: 'Petrol', bodyType: 'SUV', maxPrice: 1000000, transmission: 'Automatic,DCT,CVT,AMT', minSeats: 7 }
+ */
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = `(${PRICE_UNIT_PATTERN})`;
+// Amounts without a budget word before them only take spelled-out units, so
+// "1.5l turbo" stays an engine size
+const WORD_UNIT = `(${PRICE_WORD_UNIT_PATTERN})`;
+
+/**
+ * Keyword -> filter value (matched on word boundaries, longest phrases first)
+ */
+const KEYWORDS = {
+  fuelType: [
+    ['petrol', 'Petrol'], ['gasoline', 'Petrol'],
+    ['diesel', 'Diesel'],
+    ['electric', 'EV'], ['evs', 'EV'], ['ev', 'EV'], ['battery', 'EV'],
+    ['hybrid', 'Hybrid'],
+    ['cng', 'CNG'],
+    ['lpg', 'LPG'],
+  ],
+  transmission: [
+    ['automatic', 'Automatic,DCT,CVT,AMT'], ['auto', 'Automatic,DCT,CVT,AMT'],
+    ['manual', 'Manual'],
+    ['amt', 'AMT'],
+    ['cvt', 'CVT'],
+    ['dual clutch', 'DCT'], ['dct', 'DCT'],
+  ],
+  bodyType: [
+    ['suvs', 'SUV'], ['suv', 'SUV'],
+    ['sedans', 'Sedan'], ['sedan', 'Sedan'],
+    ['hatchbacks', 'Hatchback'], ['hatchback', 'Hatchback'], ['hatch', 'Hatchback'],
+    ['coupes', 'Coupe'], ['coupe', 'Coupe'],
+    ['convertibles', 'Convertible'], ['convertible', 'Convertible'], ['cabriolet', 'Convertible'],
+    ['wagons', 'Wagon'], ['wagon', 'Wagon'], ['estate', 'Wagon'],
+    ['pickups', 'Pickup'], ['pickup', 'Pickup'], ['pick-up', 'Pickup'], ['truck', 'Pickup'],
+    ['mpvs', 'MPV'], ['mpv', 'MPV'], ['muv', 'MPV'], ['people mover', 'MPV'],
+    ['sports cars', 'Sports'], ['sports car', 'Sports'], ['sportscar', 'Sports'],
+    ['supercars', 'Supercar'], ['supercar', 'Supercar'],
+  ],
+  driveType: [
+    ['all wheel drive', 'AWD'], ['awd', 'AWD'],
+    ['four wheel drive', '4WD'], ['4wd', '4WD'], ['4x4', '4WD'],
+    ['rear wheel drive', 'RWD'], ['rwd', 'RWD'],
+    ['front wheel drive', 'FWD'], ['fwd', 'FWD'],
+  ],
+  turbo: [
+    ['turbocharged', 'true'], ['turbo', 'true'],
+  ],
+};
+
+/**
+ * Common brand nicknames -> catalog brand
+ */
+const BRAND_ALIASES = {
+  'maruti suzuki': 'MARUTI',
+  suzuki: 'MARUTI',
+  'mercedes-benz': 'MERCEDES',
+  'mercedes benz': 'MERCEDES',
+  merc: 'MERCEDES',
+  benz: 'MERCEDES',
+  lambo: 'LAMBORGHINI',
+  vw: 'VOLKSWAGEN',
+  chevy: 'CHEVROLET',
+};
+
+/**
+ * Filler words dropped from the leftover free text
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'with', 'for', 'in', 'of', 'to', 'on', 'that', 'is', 'are',
+  'i', 'me', 'my', 'we', 'show', 'find', 'want', 'need', 'looking', 'search', 'get', 'which',
+  'car', 'cars', 'vehicle', 'vehicles', 'best', 'good', 'top', 'new', 'price', 'priced',
+  'budget', 'rs', 'inr', 'lakh', 'lakhs', 'crore', 'crores', 'transmission', 'gearbox', 'fuel',
+]);
+
+const MAX_WORDS = ['under', 'below', 'less than', 'upto', 'up to', 'within', 'max', 'maximum', 'cheaper than', 'budget of', 'budget'];
+const MIN_WORDS = ['above', 'over', 'more than', 'starting at', 'starting from', 'starting', 'min', 'minimum', 'at least'];
+const AROUND_WORDS = ['around', 'about', 'approx', 'approximately', 'roughly', 'near'];
+
+const alternation = (words) => words.map(escapeRegex).join('|');
+
+/**
+ * Amount in INR - bare numbers below 1000 are read as lakh ("under 10" = 10 lakh)
+ */
+const amountFrom = (number, unit) => {
+  if (unit) return toInr(number, unit);
+  const value = Number(number);
+  return value < 1000 ? Math.round(value * LAKH) : value;
+};
+
+/**
+ * Parse free text into filter params
+ * @param {string} text - User query
+ * @param {object} options
+ * @param {string[]} options.brands - Catalog brands (uppercase) to recognise
+ * @returns {{ filters: object, matched: Array<{ field, value, text }>, remainingText: string }}
+ */
+export const parseNaturalQuery = (text, { brands = [] } = {}) => {
+  let rest = ` ${String(text || '')
+    .toLowerCase()
+    .replace(/₹|\brs\.?(?=\s*\d)|\binr\b/g, ' ')
+    .replace(/(\d),(?=\d)/g, '$1')} `;
+
+  const filters = {};
+  const matched = [];
+  const record = (field, value, source) => {
+    filters[field] = value;
+    matched.push({ field, value, text: source.trim() });
+  };
+
+  // Replace every match of `pattern` with a space after handing it to `handler`
+  const consume = (pattern, handler) => {
+    rest = rest.replace(pattern, (...args) => {
+      const keep = handler(...args);
+      return keep === false ? args[0] : ' ';
+    });
+  };
+
+  // Seating: "7 seater", "7-seater", "7 seats"
+  consume(/\b(\d{1,2})\s*-?\s*(?:seaters?|seats?)\b/g, (match, seats) => {
+    record('minSeats', Number(seats), match);
+  });
+
+  // Power: "over 300 bhp", "under 100 hp", "200bhp"
+  consume(
+    new RegExp(`\\b(?:(${alternation([...MIN_WORDS, ...MAX_WORDS])})\\s+)?${NUMBER}\\s*(?:bhp|hp|ps)\\b`, 'g'),
+    (match, qualifier, power) => {
+      const field = qualifier && MAX_WORDS.includes(qualifier) ? 'maxPower' : 'minPower';
+      record(field, Number(power), match);
+    }
+  );
+
+  // Price range: "between 8 and 12 lakh", "from 5 to 10 lakh", "8-12 lakh"
+  consume(
+    new RegExp(`\\b(?:between|from)\\s+${NUMBER}\\s*${UNIT}?\\s*(?:and|to|-)\\s*${NUMBER}\\s*${UNIT}?\\b`, 'g'),
+    (match, low, lowUnit, high, highUnit) => {
+      record('minPrice', amountFrom(low, lowUnit || highUnit), match);
+      record('maxPrice', amountFrom(high, highUnit || lowUnit), match);
+    }
+  );
+  consume(
+    new RegExp(`\\b${NUMBER}\\s*${WORD_UNIT}?\\s*(?:-|to)\\s*${NUMBER}\\s*${WORD_UNIT}\\b`, 'g'),
+    (match, low, lowUnit, high, highUnit) => {
+      record('minPrice', amountFrom(low, lowUnit || highUnit), match);
+      record('maxPrice', amountFrom(high, highUnit), match);
+    }
+  );
+
+  // Price bounds: "under 10 lakh", "above 1 crore", "around 15 lakh"
+  consume(new RegExp(`\\b(?:${alternation(MAX_WORDS)})\\s+${NUMBER}\\s*${UNIT}?\\b`, 'g'), (match, amount, unit) => {
+    record('maxPrice', amountFrom(amount, unit), match);
+  });
+  consume(new RegExp(`\\b(?:${alternation(MIN_WORDS)})\\s+${NUMBER}\\s*${UNIT}?\\b`, 'g'), (match, amount, unit) => {
+    record('minPrice', amountFrom(amount, unit), match);
+  });
+  consume(new RegExp(`\\b(?:${alternation(AROUND_WORDS)})\\s+${NUMBER}\\s*${UNIT}?\\b`, 'g'), (match, amount, unit) => {
+    const value = amountFrom(amount, unit);
+    record('minPrice', Math.round(value * 0.9), match);
+    record('maxPrice', Math.round(value * 1.1), match);
+  });
+
+  // Engine size: "1.5l", "1.2 litre" - matched to the nearest 0.1 litre in cc
+  consume(/\b(\d(?:\.\d)?)\s*-?\s*(?:l|litres?|liters?)\b/g, (match, litres) => {
+    const cc = Number(litres) * 1000;
+    record('minDisplacement', cc - 50, match);
+    record('maxDisplacement', cc + 49, match);
+  });
+
+  // A bare amount with a unit ("10 lakh SUV") is read as a budget
+  consume(new RegExp(`\\b${NUMBER}\\s*${WORD_UNIT}\\b`, 'g'), (match, amount, unit) => {
+    if (filters.maxPrice !== undefined) return false;
+    record('maxPrice', amountFrom(amount, unit), match);
+  });
+
+  // Brands - catalog names plus nicknames, several brands become a list
+  const brandNames = new Map(brands.map((b) => [b.toLowerCase(), b]));
+  Object.entries(BRAND_ALIASES).forEach(([alias, brand]) => {
+    if (brands.includes(brand)) brandNames.set(alias, brand);
+  });
+  const foundBrands = [];
+  [...brandNames.keys()]
+    .sort((a, b) => b.length - a.length)
+    .forEach((name) => {
+      consume(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(name)}(?![\\p{L}\\p{N}])`, 'gu'), (match) => {
+        const brand = brandNames.get(name);
+        if (!foundBrands.includes(brand)) foundBrands.push(brand);
+        matched.push({ field: 'brand', value: brand, text: match.trim() });
+      });
+    });
+  if (foundBrands.length) {
+    filters.brand = foundBrands.join(',');
+  }
+
+  // Keyword filters (fuel, transmission, body, drive, turbo)
+  Object.entries(KEYWORDS).forEach(([field, pairs]) => {
+    const values = [];
+    [...pairs]
+      .sort(([a], [b]) => b.length - a.length)
+      .forEach(([keyword, value]) => {
+        consume(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(keyword)}(?![\\p{L}\\p{N}])`, 'gu'), (match) => {
+          value.split(',').forEach((v) => {
+            if (!values.includes(v)) values.push(v);
+          });
+          matched.push({ field, value, text: match.trim() });
+        });
+      });
+    if (values.length) {
+      filters[field] = values.join(',');
+    }
+  });
+
+  const remainingText = rest
+    .split(/\s+/)
+    .filter((word) => word && !STOPWORDS.has(word) && /[\p{L}\p{N}]/u.test(word))
+    .join(' ');
+
+  return { filters, matched, remainingText };
+};
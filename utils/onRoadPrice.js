@@ -0,0 +1,158 @@
+import { STATE_RULES, NATIONAL_RULES } from './onRoadRules.js';
+import { formatInrFull, formatInrShort } from './price.js';
+import { findVariant } from '../models/Car.js';
+
+/**
+ * On-road price calculator - ex-showroom price plus road tax, registration,
+ * insurance and other charges, using the rule tables in utils/onRoadRules.js
+ */
+
+const BHP_TO_KW = 0.7457;
+// Third-party insurance band used when a car has no displacement on record
+const DEFAULT_DISPLACEMENT = 1500;
+
+const bandFor = (bands, value) => bands.find(({ upTo }) => upTo === null || value <= upTo);
+
+/**
+ * States with on-road rules - [{ code, name }]
+ */
+export const SUPPORTED_STATES = Object.entries(STATE_RULES).map(([code, { name }]) => ({ code, name }));
+
+/**
+ * Rules for a state (code or name) with city overrides merged in
+ * Returns { state: { code, name }, city, cityRulesApplied, rules } or null for unknown states
+ */
+export const resolveOnRoadRules = (state, city) => {
+  const key = String(state || '').trim().toLowerCase();
+  const code = Object.keys(STATE_RULES).find(
+    (c) => c.toLowerCase() === key || STATE_RULES[c].name.toLowerCase() === key
+  );
+  if (!code) return null;
+
+  const stateRules = STATE_RULES[code];
+  const cityName = typeof city === 'string' && city.trim() ? city.trim() : null;
+  const cityRules = cityName ? stateRules.cities?.[cityName.toUpperCase()] : null;
+
+  return {
+    state: { code, name: stateRules.name },
+    city: cityName,
+    cityRulesApplied: !!cityRules,
+    rules: {
+      ...stateRules,
+      ...cityRules,
+      surcharges: [...(stateRules.surcharges || []), ...(cityRules?.surcharges || [])],
+    },
+  };
+};
+
+/**
+ * Three-year third-party premium for a new car - by motor power for EVs,
+ * otherwise by engine displacement
+ */
+export const thirdPartyPremium = ({ fuelType, displacement, powerBHP }) => {
+  const { thirdParty, thirdPartyEV } = NATIONAL_RULES.insurance;
+  return fuelType === 'EV' && powerBHP
+    ? bandFor(thirdPartyEV, powerBHP * BHP_TO_KW).amount
+    : bandFor(thirdParty, displacement || DEFAULT_DISPLACEMENT).amount;
+};
+
+/**
+ * Own-damage premium as a share of the insured declared value (IDV)
+ */
+export const ownDamageRate = (displacement) =>
+  bandFor(NATIONAL_RULES.insurance.ownDamage, displacement || DEFAULT_DISPLACEMENT).rate;
+
+/**
+ * First-year insurance estimate - own damage on the IDV plus 3-year third party
+ */
+const estimateInsurance = (vehicle) => {
+  const idv = vehicle.exShowroom * NATIONAL_RULES.insurance.idvRatio;
+  return Math.round(idv * ownDamageRate(vehicle.displacement) + thirdPartyPremium(vehicle));
+};
+
+/**
+ * Itemised on-road price for one ex-showroom price
+ * @param {object} vehicle - { exShowroom, fuelType, displacement, powerBHP }
+ * @param {object} rules - `rules` from resolveOnRoadRules
+ * @returns {{ charges: Array<{ key, label, amount, rate?, note? }>, total: number }}
+ */
+export const calculateOnRoadPrice = (vehicle, rules) => {
+  const { exShowroom, fuelType } = vehicle;
+  const evExempt = fuelType === 'EV' && rules.evExempt;
+  const charges = [{ key: 'exShowroom', label: 'Ex-showroom price', amount: exShowroom }];
+
+  // Road tax on the whole ex-showroom price at the band's rate
+  const band = bandFor(rules.roadTax[fuelType] || rules.roadTax.default, exShowroom);
+  const roadTax = evExempt ? 0 : Math.round(exShowroom * band.rate);
+  charges.push({
+    key: 'roadTax',
+    label: 'Road tax',
+    amount: roadTax,
+    rate: evExempt ? 0 : band.rate,
+    ...(evExempt && { note: 'EV exemption' }),
+  });
+
+  charges.push({
+    key: 'registration',
+    label: 'Registration',
+    amount: evExempt ? 0 : rules.registration,
+    ...(evExempt && { note: 'EV exemption' }),
+  });
+
+  rules.surcharges.forEach(({ key, label, rate, rateOfRoadTax }) => {
+    const amount = rateOfRoadTax !== undefined ? roadTax * rateOfRoadTax : exShowroom * rate;
+    charges.push({ key, label, amount: Math.round(amount) });
+  });
+
+  const { tcs } = NATIONAL_RULES;
+  if (exShowroom > tcs.above) {
+    charges.push({ key: 'tcs', label: 'TCS', amount: Math.round(exShowroom * tcs.rate), rate: tcs.rate });
+  }
+
+  charges.push({
+    key: 'insurance',
+    label: 'Insurance (1st year, estimate)',
+    amount: estimateInsurance(vehicle),
+  });
+  charges.push({ key: 'fastag', label: 'FASTag', amount: NATIONAL_RULES.fastag });
+
+  const total = charges.reduce((sum, { amount }) => sum + amount, 0);
+  return { charges, total };
+};
+
+/**
+ * On-road prices for each variant of a car (or the car itself without variants)
+ * `variant` narrows the result to one variant id or name
+ * Returns [{ variantId, name, fuelType, exShowroom, charges, total, totalFormatted }]
+ */
+export const onRoadPricesForCar = (car, rules, { variant } = {}) => {
+  let variants = car.variants?.length
+    ? car.variants
+    : [{ _id: null, name: null, price: car.price?.min, fuelType: car.fuelType, powerBHP: car.powerBHP }];
+  if (variant) {
+    const match = findVariant(car, variant);
+    variants = match ? [match] : [];
+  }
+
+  return variants
+    .filter((v) => typeof v.price === 'number' && v.price > 0)
+    .map((v) => {
+      const fuelType = v.fuelType ?? car.fuelType;
+      const { charges, total } = calculateOnRoadPrice({
+        exShowroom: v.price,
+        fuelType,
+        displacement: car.engine?.displacement,
+        powerBHP: v.powerBHP ?? car.powerBHP,
+      }, rules);
+
+      return {
+        variantId: v._id,
+        name: v.name,
+        fuelType,
+        exShowroom: v.price,
+        charges,
+        total,
+        totalFormatted: { short: formatInrShort(total), full: formatInrFull(total) },
+      };
+    });
+};
@@ -0,0 +1,131 @@
+/**
+ * On-road price rule tables (indicative - update as state notifications change)
+ * Used by utils/onRoadPrice.js
+ *
+ * roadTax: price bands per fuel type, `default` applies to fuels without their own bands.
+ *   Each band taxes the whole ex-showroom price at `rate` when the price is at most
+ *   `upTo` (null = no upper limit).
+ * evExempt: EVs pay no road tax or registration fee
+ * registration: registration and smart card fee (INR)
+ * surcharges: extra charges - `rate` of ex-showroom price or `rateOfRoadTax`
+ * cities: per-city rules merged over the state's (keys are uppercase city names)
+ */
+
+export const STATE_RULES = {
+  DL: {
+    name: 'Delhi',
+    roadTax: {
+      default: [{ upTo: 600000, rate: 0.04 }, { upTo: 1000000, rate: 0.07 }, { upTo: null, rate: 0.1 }],
+      Diesel: [{ upTo: 600000, rate: 0.05 }, { upTo: 1000000, rate: 0.0875 }, { upTo: null, rate: 0.125 }],
+    },
+    evExempt: true,
+    registration: 1000,
+  },
+  MH: {
+    name: 'Maharashtra',
+    roadTax: {
+      default: [{ upTo: 1000000, rate: 0.11 }, { upTo: 2000000, rate: 0.12 }, { upTo: null, rate: 0.13 }],
+      Diesel: [{ upTo: 1000000, rate: 0.13 }, { upTo: 2000000, rate: 0.14 }, { upTo: null, rate: 0.15 }],
+      CNG: [{ upTo: 1000000, rate: 0.07 }, { upTo: 2000000, rate: 0.08 }, { upTo: null, rate: 0.09 }],
+    },
+    evExempt: true,
+    registration: 1200,
+    cities: {
+      MUMBAI: {
+        surcharges: [{ key: 'municipalCess', label: 'Municipal cess', rate: 0.005 }],
+      },
+    },
+  },
+  KA: {
+    name: 'Karnataka',
+    roadTax: {
+      default: [
+        { upTo: 500000, rate: 0.13 },
+        { upTo: 1000000, rate: 0.14 },
+        { upTo: 2000000, rate: 0.17 },
+        { upTo: null, rate: 0.18 },
+      ],
+    },
+    evExempt: true,
+    registration: 1000,
+    surcharges: [{ key: 'roadTaxCess', label: 'Cess on road tax', rateOfRoadTax: 0.11 }],
+  },
+  TN: {
+    name: 'Tamil Nadu',
+    roadTax: {
+      default: [{ upTo: 1000000, rate: 0.1 }, { upTo: null, rate: 0.15 }],
+    },
+    evExempt: true,
+    registration: 900,
+  },
+  TG: {
+    name: 'Telangana',
+    roadTax: {
+      default: [
+        { upTo: 500000, rate: 0.13 },
+        { upTo: 1000000, rate: 0.14 },
+        { upTo: 2000000, rate: 0.17 },
+        { upTo: null, rate: 0.18 },
+      ],
+    },
+    evExempt: true,
+    registration: 1000,
+  },
+  KL: {
+    name: 'Kerala',
+    roadTax: {
+      default: [
+        { upTo: 500000, rate: 0.09 },
+        { upTo: 1000000, rate: 0.11 },
+        { upTo: 1500000, rate: 0.13 },
+        { upTo: 2000000, rate: 0.16 },
+        { upTo: null, rate: 0.21 },
+      ],
+      EV: [{ upTo: null, rate: 0.05 }],
+    },
+    evExempt: false,
+    registration: 1000,
+  },
+  UP: {
+    name: 'Uttar Pradesh',
+    roadTax: {
+      default: [{ upTo: 1000000, rate: 0.08 }, { upTo: null, rate: 0.1 }],
+    },
+    evExempt: true,
+    registration: 900,
+  },
+  GJ: {
+    name: 'Gujarat',
+    roadTax: {
+      default: [{ upTo: null, rate: 0.06 }],
+    },
+    evExempt: true,
+    registration: 800,
+  },
+  HR: {
+    name: 'Haryana',
+    roadTax: {
+      default: [{ upTo: 600000, rate: 0.05 }, { upTo: 2000000, rate: 0.08 }, { upTo: null, rate: 0.1 }],
+    },
+    evExempt: true,
+    registration: 1000,
+  },
+};
+
+/**
+ * Charges that apply in every state
+ */
+export const NATIONAL_RULES = {
+  fastag: 500,
+  // Tax collected at source on cars above 10 lakh ex-showroom
+  tcs: { above: 1000000, rate: 0.01 },
+  insurance: {
+    // Insured declared value as a share of ex-showroom price
+    idvRatio: 0.95,
+    // First-year own-damage premium as a share of IDV, by engine displacement (cc)
+    ownDamage: [{ upTo: 1000, rate: 0.0312 }, { upTo: 1500, rate: 0.0328 }, { upTo: null, rate: 0.0344 }],
+    // Three-year third-party premium for new cars, by displacement (cc) or EV motor power (kW)
+    thirdParty: [{ upTo: 1000, amount: 6521 }, { upTo: 1500, amount: 10640 }, { upTo: null, amount: 24596 }],
+    thirdPartyEV: [{ upTo: 30, amount: 5543 }, { upTo: 65, amount: 9044 }, { upTo: null, amount: 20907 }],
+  },
+};
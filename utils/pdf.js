@@ -0,0 +1,145 @@
+/**
+ * Minimal PDF writer for server-side documents (comparison spec sheets)
+ * Supports text, lines and filled rectangles using the built-in Helvetica
+ * fonts, so no fonts are embedded and no external service or package is needed.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+export const A4_LANDSCAPE = { width: 842, height: 595 };
+
+// Helvetica character widths (1/1000 em), approximated by character class
+const charWidth = (char) => {
+  if (char === ' ') return 278;
+  if (/[0-9]/.test(char)) return 556;
+  if (/[ijl.,:;'|!]/.test(char)) return 250;
+  if (/[ft()\-[\]/]/.test(char)) return 333;
+  if (/[mw]/.test(char)) return 833;
+  if (/[MW]/.test(char)) return 889;
+  if (/[A-Z]/.test(char)) return 667;
+  return 556;
+};
+
+// WinAnsi (CP1252) codes for the characters it adds in 0x80-0x9F
+const CP1252_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+/**
+ * Helvetica only covers WinAnsi - Latin-1 plus CP1252's 0x80-0x9F characters
+ * (€, curly quotes, dashes). Spell out the rupee sign and replace anything else
+ */
+const toWinAnsi = (text) => String(text)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, (char) => (
+    CP1252_EXTRAS[char] ? String.fromCharCode(CP1252_EXTRAS[char]) : '?'
+  ));
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, '\\$&');
+
+const colorOp = ([r, g, b], op) => `${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)} ${op}`;
+
+/**
+ * Create a document - call addPage() before drawing, then toBuffer()
+ */
+export const createPdf = ({ width, height } = A4_LANDSCAPE) => {
+  const pages = [];
+  let ops = null;
+
+  const y = (top) => (height - top).toFixed(2);
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    /**
+     * Approximate rendered width of `text` at `size` points
+     */
+    textWidth(text, size) {
+      return [...toWinAnsi(text)].reduce((sum, char) => sum + charWidth(char), 0) * size / 1000;
+    },
+
+    /**
+     * Shorten `text` with "..." so it fits `maxWidth`
+     */
+    fit(text, size, maxWidth) {
+      const value = toWinAnsi(text);
+      if (doc.textWidth(value, size) <= maxWidth) return value;
+      let end = value.length;
+      while (end > 0 && doc.textWidth(`${value.slice(0, end)}...`, size) > maxWidth) end--;
+      return `${value.slice(0, end)}...`;
+    },
+
+    /**
+     * Draw text with its baseline at `top`
+     */
+    text(value, x, top, { size = 10, bold = false, color = [0, 0, 0] } = {}) {
+      ops.push(
+        `BT ${colorOp(color, 'rg')} /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y(top)} Td (${escapeText(value)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, top1, x2, top2, { color = [0.8, 0.8, 0.8], lineWidth = 0.5 } = {}) {
+      ops.push(`${colorOp(color, 'RG')} ${lineWidth} w ${x1.toFixed(2)} ${y(top1)} m ${x2.toFixed(2)} ${y(top2)} l S`);
+      return doc;
+    },
+
+    rect(x, top, w, h, { fill = [0.95, 0.95, 0.95] } = {}) {
+      ops.push(`${colorOp(fill, 'rg')} ${x.toFixed(2)} ${y(top + h)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+      return doc;
+    },
+
+    /**
+     * Serialise to a PDF 1.4 file
+     */
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map((pageOps) => {
+        const stream = pageOps.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+
+  return doc;
+};
@@ -0,0 +1,139 @@
+/**
+ * Indian price notation helpers (prices are stored in raw INR)
+ */
+
+export const LAKH = 100000;
+export const CRORE = 10000000;
+
+/**
+ * Unit words and abbreviations -> multiplier
+ */
+const UNIT_MULTIPLIERS = {
+  k: 1000,
+  thousand: 1000,
+  l: LAKH,
+  lac: LAKH,
+  lacs: LAKH,
+  lakh: LAKH,
+  lakhs: LAKH,
+  cr: CRORE,
+  crore: CRORE,
+  crores: CRORE,
+};
+
+/**
+ * Regex source matching a price unit (for use in larger patterns)
+ */
+export const PRICE_UNIT_PATTERN = 'crores?|cr|lakhs?|lacs?|l|thousand|k';
+
+/**
+ * Price units without the single-letter abbreviations - for free text, where
+ * "1.5l" is an engine size and "10k" a distance rather than a price
+ */
+export const PRICE_WORD_UNIT_PATTERN = 'crores?|cr|lakhs?|lacs?|thousand';
+
+/**
+ * Convert a number and optional unit into INR
+ * e.g. (5.99, 'lakh') -> 599000, (1.2, 'cr') -> 12000000
+ * Returns null for unknown units or invalid numbers
+ */
+export const toInr = (amount, unit) => {
+  const number = Number(amount);
+  if (!Number.isFinite(number)) return null;
+  if (!unit) return number;
+
+  const multiplier = UNIT_MULTIPLIERS[String(unit).toLowerCase()];
+  return multiplier ? Math.round(number * multiplier) : null;
+};
+
+/**
+ * Parse a price param - accepts raw INR ("500000", "5,00,000", "₹5,00,000")
+ * and Indian notation ("5L", "5.99 lakh", "1.2cr", "15k")
+ * Returns the amount in INR, null when empty, or NaN when invalid - including
+ * repeated query params (?minPrice=1&minPrice=2 arrives as an array)
+ */
+export const parsePriceInput = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  const text = value.trim().toLowerCase().replace(/[₹,\s]/g, '');
+  const match = text.match(new RegExp(`^(\\d+(?:\\.\\d+)?)(${PRICE_UNIT_PATTERN})?$`));
+  if (!match) return NaN;
+
+  return toInr(match[1], match[2]) ?? NaN;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Full INR with Indian digit grouping - 599000 -> "₹5,99,000"
+ */
+export const formatInrFull = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Lakh/crore short form - 599000 -> "₹5.99 Lakh", 12500000 -> "₹1.25 Crore"
+ * Rounds before picking the unit, so 9999999 is "₹1 Crore" rather than "₹100 Lakh"
+ */
+export const formatInrShort = (amount) => {
+  const value = Number(amount);
+  const lakhs = round2(value / LAKH);
+  if (lakhs >= CRORE / LAKH) return `₹${round2(value / CRORE)} Crore`;
+  if (value >= LAKH) return `₹${lakhs} Lakh`;
+  return formatInrFull(value);
+};
+
+/**
+ * Short range sharing the unit when possible - "₹5.99 - 8.99 Lakh"
+ */
+const formatRangeShort = (min, max) => {
+  const minShort = formatInrShort(min);
+  const maxShort = formatInrShort(max);
+  const minUnit = minShort.split(' ')[1];
+  const maxUnit = maxShort.split(' ')[1];
+  if (minUnit && minUnit === maxUnit) {
+    return `${minShort.split(' ')[0]} - ${maxShort.replace('₹', '')}`;
+  }
+  return `${minShort} - ${maxShort}`;
+};
+
+/**
+ * Full range as shown in comparisons - "₹5,99,000 - ₹8,99,000"
+ */
+export const formatPriceRangeFull = (price) => {
+  const { min, max } = price || {};
+  if (min && max) {
+    return min === max ? formatInrFull(min) : `${formatInrFull(min)} - ${formatInrFull(max)}`;
+  }
+  if (min) return formatInrFull(min);
+  if (max) return formatInrFull(max);
+  return null;
+};
+
+/**
+ * Formatted price block added to car responses
+ * { min: { short, full }, max: { short, full }, range: { short, full } }
+ */
+export const formatPriceBlock = (price) => {
+  const { min, max } = price || {};
+  if (!min && !max) return null;
+
+  const low = min || max;
+  const high = max || min;
+  const amount = (value) => ({ short: formatInrShort(value), full: formatInrFull(value) });
+
+  return {
+    min: amount(low),
+    max: amount(high),
+    range: {
+      short: low === high ? formatInrShort(low) : formatRangeShort(low, high),
+      full: formatPriceRangeFull(price),
+    },
+  };
+};
+
+/**
+ * Add `priceFormatted` to a plain (lean) car object
+ * Hydrated documents get the same block from the Car schema virtual
+ */
+export const withFormattedPrice = (car) => (car ? { ...car, priceFormatted: formatPriceBlock(car.price) } : car);
@@ -0,0 +1,4 @@
+/**
+ * Escape text for use as a literal inside a RegExp
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
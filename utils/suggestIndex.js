@@ -0,0 +1,131 @@
+import Car from '../models/Car.js';
+
+/**
+ * In-memory index of searchable car names for typeahead suggestions
+ * and fuzzy search corrections
+ * The catalog is small enough to hold in memory, which keeps keystroke-level
+ * lookups off the database. Rebuilt after CACHE_TTL_MS or on invalidation.
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = null;
+let cacheBuiltAt = 0;
+let buildPromise = null;
+
+const buildIndex = async () => {
+  const cars = await Car.find({}, {
+    title: 1,
+    brand: 1,
+    model: 1,
+    tags: 1,
+    isFeatured: 1,
+    discontinued: 1,
+  }).lean();
+
+  const brandCounts = new Map();
+  const tagCounts = new Map();
+  const vocabulary = new Map(); // lowercase word -> occurrences (for fuzzy search)
+  const addWords = (text) => String(text || '')
+    .toLowerCase()
+    .split(/[\s\-/]+/)
+    .filter((word) => word.length > 1)
+    .forEach((word) => vocabulary.set(word, (vocabulary.get(word) || 0) + 1));
+
+  cars.forEach((car) => {
+    if (car.brand) brandCounts.set(car.brand, (brandCounts.get(car.brand) || 0) + 1);
+    (car.tags || []).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    [car.title, car.brand, car.model, ...(car.tags || [])].forEach(addWords);
+  });
+
+  return {
+    cars,
+    brands: [...brandCounts].map(([value, count]) => ({ value, count })),
+    tags: [...tagCounts].map(([value, count]) => ({ value, count })),
+    vocabulary,
+  };
+};
+
+/**
+ * Get the current index, rebuilding it when stale
+ * Concurrent callers share a single rebuild
+ */
+export const getSuggestIndex = async () => {
+  if (cache && Date.now() - cacheBuiltAt < CACHE_TTL_MS) return cache;
+
+  if (!buildPromise) {
+    buildPromise = buildIndex()
+      .then((index) => {
+        cache = index;
+        cacheBuiltAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        buildPromise = null;
+      });
+  }
+  return buildPromise;
+};
+
+/**
+ * Drop the cached index (call after catalog writes)
+ */
+export const invalidateSuggestIndex = () => {
+  cache = null;
+  cacheBuiltAt = 0;
+};
+
+/**
+ * Rank how well `text` matches `prefix` (lower is better, -1 = no match)
+ * 0: exact, 1: whole-string prefix, 2: prefix of a word inside the text
+ */
+const matchRank = (text, prefix) => {
+  if (!text) return -1;
+  const value = String(text).toLowerCase();
+  if (value === prefix) return 0;
+  if (value.startsWith(prefix)) return 1;
+  if (value.split(/[\s\-/]+/).some((word) => word.startsWith(prefix))) return 2;
+  return -1;
+};
+
+const rankValues = (values, prefix, limit) => values
+  .map((item) => ({ ...item, rank: matchRank(item.value, prefix) }))
+  .filter((item) => item.rank >= 0)
+  .sort((a, b) => a.rank - b.rank || b.count - a.count || a.value.localeCompare(b.value))
+  .slice(0, limit)
+  .map(({ value, count }) => ({ value, count }));
+
+/**
+ * Prefix suggestions grouped into brands, models and tags
+ */
+export const getSuggestions = async (q, { limit = 5 } = {}) => {
+  const prefix = String(q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!prefix) return { brands: [], models: [], tags: [] };
+
+  const index = await getSuggestIndex();
+
+  const models = index.cars
+    .map((car) => {
+      const ranks = [matchRank(car.model, prefix), matchRank(car.title, prefix)].filter((r) => r >= 0);
+      return { car, rank: ranks.length ? Math.min(...ranks) : -1 };
+    })
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) =>
+      a.rank - b.rank
+      || Number(!!a.car.discontinued) - Number(!!b.car.discontinued)
+      || Number(!!b.car.isFeatured) - Number(!!a.car.isFeatured)
+      || a.car.title.localeCompare(b.car.title))
+    .slice(0, limit)
+    .map(({ car }) => ({
+      id: car._id,
+      title: car.title,
+      brand: car.brand,
+      model: car.model,
+    }));
+
+  return {
+    brands: rankValues(index.brands, prefix, limit),
+    models,
+    tags: rankValues(index.tags, prefix, limit),
+  };
+};
@@ -0,0 +1,172 @@
+import { NATIONAL_RULES } from './onRoadRules.js';
+import { ownDamageRate, thirdPartyPremium } from './onRoadPrice.js';
+
+/**
+ * Total cost of ownership - fuel, maintenance, insurance and depreciation over
+ * the ownership period, from the car's price, fuel type and mileage
+ * All figures are indicative estimates in INR
+ */
+
+export const DEFAULT_ANNUAL_KM = 12000;
+export const DEFAULT_YEARS = 5;
+const MAX_ANNUAL_KM = 100000;
+const MAX_YEARS = 15;
+
+/**
+ * Default energy prices (INR per litre, kg for CNG, kWh for EVs)
+ * Each can be overridden with the matching query param
+ */
+const ENERGY_PRICES = {
+  petrol: { param: 'petrolPrice', price: 102 },
+  diesel: { param: 'dieselPrice', price: 90 },
+  cng: { param: 'cngPrice', price: 80 },
+  lpg: { param: 'lpgPrice', price: 60 },
+  electricity: { param: 'electricityPrice', price: 8 },
+};
+
+// Which energy price each fuel type pays (hybrids run on petrol)
+const FUEL_ENERGY = {
+  Petrol: 'petrol',
+  Hybrid: 'petrol',
+  Diesel: 'diesel',
+  CNG: 'cng',
+  LPG: 'lpg',
+  EV: 'electricity',
+};
+
+// EV consumption (kWh/km) by body type - the catalog has no battery capacity
+const EV_KWH_PER_KM = { Hatchback: 0.13, Sedan: 0.14, SUV: 0.17, MPV: 0.17, Pickup: 0.2 };
+const DEFAULT_EV_KWH_PER_KM = 0.15;
+
+// Servicing and wear (INR/km) in the first year, rising each year by MAINTENANCE_ESCALATION
+const MAINTENANCE_PER_KM = { Petrol: 1, Diesel: 1.2, CNG: 1.1, LPG: 1.1, Hybrid: 0.9, EV: 0.5 };
+const MAINTENANCE_ESCALATION = 0.08;
+
+// Share of value lost in the first year, then each following year
+const DEPRECIATION = {
+  default: { firstYear: 0.2, perYear: 0.12 },
+  EV: { firstYear: 0.25, perYear: 0.15 },
+};
+
+const round = (value) => Math.round(value);
+
+/**
+ * Read TCO assumptions from request params (query string or compare body)
+ * - annualKm (default DEFAULT_ANNUAL_KM), years (default DEFAULT_YEARS)
+ * - petrolPrice, dieselPrice, cngPrice, lpgPrice, electricityPrice
+ * Returns { annualKm, years, energyPrices } or { error }
+ */
+export const parseTcoParams = (params = {}) => {
+  const number = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+  const annualKm = number(params.annualKm) ?? DEFAULT_ANNUAL_KM;
+  const years = number(params.years) ?? DEFAULT_YEARS;
+  if (!Number.isFinite(annualKm) || annualKm <= 0 || annualKm > MAX_ANNUAL_KM) {
+    return { error: `annualKm must be between 1 and ${MAX_ANNUAL_KM}` };
+  }
+  if (!Number.isInteger(years) || years < 1 || years > MAX_YEARS) {
+    return { error: `years must be a whole number between 1 and ${MAX_YEARS}` };
+  }
+
+  const energyPrices = {};
+  for (const [energy, { param, price }] of Object.entries(ENERGY_PRICES)) {
+    const value = number(params[param]) ?? price;
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: `${param} must be a positive number` };
+    }
+    energyPrices[energy] = value;
+  }
+
+  return { annualKm, years, energyPrices };
+};
+
+/**
+ * Yearly energy cost - litres (or kg) from mileage, kWh from EV consumption
+ * Returns null when the car's mileage is unknown
+ */
+const annualEnergyCost = (vehicle, { annualKm, energyPrices }) => {
+  const energy = FUEL_ENERGY[vehicle.fuelType] || 'petrol';
+  if (vehicle.fuelType === 'EV') {
+    const kwhPerKm = EV_KWH_PER_KM[vehicle.bodyType] || DEFAULT_EV_KWH_PER_KM;
+    return annualKm * kwhPerKm * energyPrices.electricity;
+  }
+  if (!vehicle.mileage) return null;
+  return (annualKm / vehicle.mileage) * energyPrices[energy];
+};
+
+/**
+ * Yearly insurance on the depreciated value - own damage on the IDV plus
+ * a third of the three-year third-party premium
+ */
+const annualInsurance = (value, vehicle) =>
+  value * NATIONAL_RULES.insurance.idvRatio * ownDamageRate(vehicle.displacement)
+  + thirdPartyPremium(vehicle) / 3;
+
+/**
+ * Cost of ownership for one car or variant
+ * @param {object} vehicle - { price, fuelType, bodyType, mileage, displacement, powerBHP }
+ * @param {object} assumptions - from parseTcoParams
+ * @returns {{ costs, total, perKm, perYear, residualValue, complete, notes }} or null without a price
+ * `complete` is false when a cost could not be estimated (fuel without mileage)
+ */
+export const calculateTco = (vehicle, assumptions) => {
+  const { price } = vehicle;
+  if (!price) return null;
+
+  const { annualKm, years } = assumptions;
+  const depreciation = DEPRECIATION[vehicle.fuelType] || DEPRECIATION.default;
+  const energyCost = annualEnergyCost(vehicle, assumptions);
+  const notes = [];
+  if (energyCost === null) notes.push('Fuel cost excluded - mileage unknown');
+  if (vehicle.fuelType === 'EV') notes.push('EV energy use estimated from body type');
+
+  const perYear = [];
+  let value = price;
+  for (let year = 1; year <= years; year++) {
+    const insurance = annualInsurance(value, vehicle);
+    const nextValue = value * (1 - (year === 1 ? depreciation.firstYear : depreciation.perYear));
+    const maintenancePerKm = (MAINTENANCE_PER_KM[vehicle.fuelType] || 1) * (1 + MAINTENANCE_ESCALATION) ** (year - 1);
+
+    const row = {
+      year,
+      fuel: round(energyCost || 0),
+      maintenance: round(annualKm * maintenancePerKm),
+      insurance: round(insurance),
+      depreciation: round(value - nextValue),
+    };
+    row.total = row.fuel + row.maintenance + row.insurance + row.depreciation;
+    perYear.push(row);
+    value = nextValue;
+  }
+
+  const sum = (key) => perYear.reduce((total, row) => total + row[key], 0);
+  const costs = {
+    fuel: sum('fuel'),
+    maintenance: sum('maintenance'),
+    insurance: sum('insurance'),
+    depreciation: sum('depreciation'),
+  };
+  const total = sum('total');
+
+  return {
+    costs,
+    total,
+    perKm: Math.round((total / (annualKm * years)) * 100) / 100,
+    residualValue: round(value),
+    perYear,
+    complete: energyCost !== null,
+    notes,
+  };
+};
+
+/**
+ * Vehicle inputs for calculateTco from a (lean) car, optionally a specific variant
+ */
+export const tcoVehicle = (car, variant) => ({
+  price: variant?.price ?? car.price?.min ?? car.price?.max,
+  fuelType: variant?.fuelType ?? car.fuelType,
+  bodyType: car.bodyType,
+  mileage: variant?.mileage ?? car.mileage,
+  displacement: car.engine?.displacement,
+  powerBHP: variant?.powerBHP ?? car.powerBHP,
+});
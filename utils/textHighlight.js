@@ -0,0 +1,82 @@
+import { escapeRegex } from './regex.js';
+
+/**
+ * Match highlighting for text search results
+ * Mirrors the fields in the Car text index so clients can show why a car matched
+ */
+
+export const HIGHLIGHT_FIELDS = ['title', 'brand', 'model', 'tags', 'keyFeatures', 'pros', 'cons'];
+
+const SNIPPET_CONTEXT = 40;
+const MAX_HIGHLIGHTS_PER_FIELD = 3;
+const MARK_OPEN = '<mark>';
+const MARK_CLOSE = '</mark>';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Search terms with a light plural stem, so "sunroofs" highlights "Sunroof"
+ * Quoted phrases and negated terms ("-diesel") follow $text semantics
+ */
+const searchTerms = (q) => {
+  const terms = [];
+  const phrases = [...String(q).matchAll(/"([^"]+)"/g)].map((m) => m[1].trim()).filter(Boolean);
+  const rest = String(q).replace(/"[^"]*"/g, ' ');
+
+  rest.split(/\s+/).forEach((word) => {
+    const term = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (!term || word.startsWith('-')) return;
+    terms.push(term.length > 3 && term.endsWith('s') ? term.slice(0, -1) : term);
+  });
+
+  return [...phrases.map((p) => p.toLowerCase()), ...terms];
+};
+
+/**
+ * Wrap matches in <mark> and trim long text to a window around the first match
+ * Snippets are rendered as HTML, so the car text around and inside the marks is escaped
+ */
+const markSnippet = (text, pattern) => {
+  const value = String(text);
+  pattern.lastIndex = 0;
+  const first = pattern.exec(value);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+  const end = Math.min(value.length, first.index + first[0].length + SNIPPET_CONTEXT);
+  const window = value.slice(start, end);
+
+  pattern.lastIndex = 0;
+  let marked = '';
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    marked += `${escapeHtml(window.slice(last, match.index))}${MARK_OPEN}${escapeHtml(match[0])}${MARK_CLOSE}`;
+    last = match.index + match[0].length;
+  }
+  marked += escapeHtml(window.slice(last));
+  return `${start > 0 ? '…' : ''}${marked}${end < value.length ? '…' : ''}`;
+};
+
+/**
+ * Return [{ field, snippet }] for every searchable field that contains a query term
+ * Terms match at word starts (prefix), like the stemmed text index would
+ */
+export const highlightMatches = (car, q) => {
+  const terms = searchTerms(q || '');
+  if (!terms.length) return [];
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const highlights = [];
+
+  HIGHLIGHT_FIELDS.forEach((field) => {
+    const values = [].concat(car[field] ?? []).filter((v) => typeof v === 'string');
+    values
+      .map((value) => markSnippet(value, pattern))
+      .filter(Boolean)
+      .slice(0, MAX_HIGHLIGHTS_PER_FIELD)
+      .forEach((snippet) => highlights.push({ field, snippet }));
+  });
+
+  return highlights;
+};
@@ -0,0 +1,29 @@
+/**
+ * Convert Mongoose validation/cast errors into field-level error maps
+ * Returns null when the error is not a validation problem
+ */
+export const formatValidationErrors = (error) => {
+  if (!error) return null;
+
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.entries(error.errors || {}).forEach(([path, err]) => {
+      errors[path] = err.kind === 'enum'
+        ? `${err.value} is not a valid ${path}. Allowed: ${err.properties?.enumValues?.join(', ')}`
+        : err.message;
+    });
+    return errors;
+  }
+
+  if (error.name === 'StrictModeError') {
+    const path = error.path || 'unknown';
+    return { [path]: `${path} is not a known field` };
+  }
+
+  if (error.name === 'CastError') {
+    const path = error.path || 'unknown';
+    return { [path]: `Invalid value for ${path}` };
+  }
+
+  return null;
+};